@@ -3,7 +3,7 @@
 import { CreditCardInput } from '../dist/credit-card-input.bundle.esm.js';
 
 /**
- * @typedef {'neutral' | 'valid' | 'invalid'} Status
+ * @typedef {'neutral' | 'incomplete' | 'valid' | 'invalid'} Status
  */
 
 /**
@@ -27,7 +27,7 @@ function updateCardIcon(status) {
         input.classList.add('is-invalid');
         invalidIcon?.classList.remove('d-none');
     }
-    // neutral – do nothing
+    // neutral, incomplete – do nothing
 }
 
 /**
@@ -79,6 +79,7 @@ const creditCard = new CreditCardInput({
     cardInput: /** @type {HTMLInputElement} */ (document.getElementById('cardNumber')),
     expiryInput: /** @type {HTMLInputElement} */ (document.getElementById('expiryDate')),
     cvvInput: /** @type {HTMLInputElement} */ (document.getElementById('cvv')),
+    accessibility: true,
 });
 
 // Subscribe to events and update UI
@@ -0,0 +1,167 @@
+// @ts-check
+
+/**
+ * @typedef {import('./engine.js').FieldName} FieldName
+ */
+
+/**
+ * @typedef {Object} FieldAttributes
+ * @property {string} autocomplete - Autofill token
+ * @property {string} [inputmode] - Virtual keyboard hint
+ */
+
+/**
+ * A field, or the month or year element of a split expiry date.
+ * @typedef {FieldName | 'expiryMonth' | 'expiryYear'} FieldPart
+ */
+
+/**
+ * Attributes that let browsers and assistive technology recognize each field.
+ * @type {Record<FieldPart, FieldAttributes>}
+ */
+export const FIELD_ATTRIBUTES = {
+    card: { autocomplete: 'cc-number', inputmode: 'numeric' },
+    expiry: { autocomplete: 'cc-exp', inputmode: 'numeric' },
+    expiryMonth: { autocomplete: 'cc-exp-month', inputmode: 'numeric' },
+    expiryYear: { autocomplete: 'cc-exp-year', inputmode: 'numeric' },
+    cvv: { autocomplete: 'cc-csc', inputmode: 'numeric' },
+    name: { autocomplete: 'cc-name' },
+    postalCode: { autocomplete: 'postal-code' },
+};
+
+let descriptionId = 0;
+
+/**
+ * Sets inputmode and autocomplete on a field input unless the page already set them.
+ * A select only gets autocomplete.
+ * @param {HTMLInputElement|HTMLSelectElement} input - The input or select element
+ * @param {FieldPart} field - Field (or expiry part) the input belongs to
+ * @returns {() => void} Removes the attributes that were set
+ */
+export function applyFieldAttributes(input, field) {
+    const { autocomplete, inputmode } = FIELD_ATTRIBUTES[field];
+    /** @type {string[]} */
+    const added = [];
+    if (!input.hasAttribute('autocomplete')) {
+        input.setAttribute('autocomplete', autocomplete);
+        added.push('autocomplete');
+    }
+    if (input.tagName !== 'SELECT' && inputmode && !input.hasAttribute('inputmode')) {
+        input.setAttribute('inputmode', inputmode);
+        added.push('inputmode');
+    }
+    return () => added.forEach(name => input.removeAttribute(name));
+}
+
+/**
+ * Adds an element to the aria-describedby list of an input, giving the element an id if it has none.
+ * @param {HTMLInputElement|HTMLSelectElement} input - The input or select element
+ * @param {HTMLElement} element - Element holding the description (e.g. the error text)
+ * @returns {() => void} Removes the element from the list again if it was added
+ */
+export function addDescribedBy(input, element) {
+    if (!element.id) element.id = `cc-input-description-${++descriptionId}`;
+    const { id } = element;
+    const ids = getDescribedByIds(input);
+    if (ids.includes(id)) return () => {};
+
+    input.setAttribute('aria-describedby', [...ids, id].join(' '));
+    return () => {
+        const rest = getDescribedByIds(input).filter(other => other !== id);
+        if (rest.length) input.setAttribute('aria-describedby', rest.join(' '));
+        else input.removeAttribute('aria-describedby');
+    };
+}
+
+/**
+ * @param {HTMLInputElement|HTMLSelectElement} input
+ * @returns {string[]}
+ */
+function getDescribedByIds(input) {
+    return (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Polite live region that announces messages once the user pauses,
+ * so screen reader users don't hear every keystroke.
+ * Only the latest message of each key is announced.
+ */
+export class LiveAnnouncer {
+    /**
+     * @param {Object} options
+     * @param {Document} options.document - Document to create the live region in
+     * @param {HTMLElement} [options.element] - Existing live region (a visually hidden one is created by default)
+     * @param {number} [options.delay=1000] - Quiet time in milliseconds before pending messages are announced
+     */
+    constructor({ document, element, delay = 1000 }) {
+        this.delay = delay;
+        /** @type {Map<string, string>} */
+        this._pending = new Map();
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this._timer = null;
+        this._ownsElement = !element;
+
+        if (element) {
+            this.element = element;
+        } else {
+            this.element = document.createElement('div');
+            this.element.setAttribute('role', 'status');
+            this.element.setAttribute('aria-live', 'polite');
+            this.element.setAttribute('aria-atomic', 'true');
+            // Visually hidden, but still read by screen readers
+            Object.assign(this.element.style, {
+                position: 'absolute',
+                width: '1px',
+                height: '1px',
+                overflow: 'hidden',
+                clip: 'rect(0 0 0 0)',
+                whiteSpace: 'nowrap',
+            });
+            document.body.appendChild(this.element);
+        }
+    }
+
+    /**
+     * Queues a message. A later message with the same key replaces it.
+     * @param {string} key - Message source (e.g. a field name)
+     * @param {string} message - Text to announce
+     * @returns {void}
+     */
+    announce(key, message) {
+        this._pending.set(key, message);
+        if (this._timer !== null) clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    /**
+     * Drops a queued message that is no longer relevant.
+     * @param {string} key - Message source
+     * @returns {void}
+     */
+    cancel(key) {
+        this._pending.delete(key);
+    }
+
+    /**
+     * Announces queued messages right away.
+     * @returns {void}
+     */
+    flush() {
+        if (this._timer !== null) clearTimeout(this._timer);
+        this._timer = null;
+        if (this._pending.size === 0) return;
+        this.element.textContent = [...this._pending.values()].join('. ');
+        this._pending.clear();
+    }
+
+    /**
+     * Drops queued messages and removes the live region if it was created by the announcer.
+     * @returns {void}
+     */
+    destroy() {
+        if (this._timer !== null) clearTimeout(this._timer);
+        this._timer = null;
+        this._pending.clear();
+        if (this._ownsElement) this.element.remove();
+    }
+}
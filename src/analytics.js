@@ -0,0 +1,323 @@
+// @ts-check
+
+import { ERROR_CODES } from './messages.js';
+
+/**
+ * @typedef {import('./engine.js').FieldName} FieldName
+ * @typedef {import('./engine.js').Status} Status
+ * @typedef {import('./messages.js').ErrorCode} ErrorCode
+ */
+
+/**
+ * 'fieldComplete' when a field first becomes valid, 'fieldAbandoned' when the user leaves
+ * an edited field that is not valid, 'brandDetected' when the card brand changes,
+ * 'paste' when text is pasted into a field and 'submit' on submit attempts of the bound form.
+ * @typedef {'fieldComplete' | 'fieldAbandoned' | 'brandDetected' | 'paste' | 'submit'} AnalyticsEventType
+ */
+
+/**
+ * Sanitized interaction event. Field values never appear; the card number is only
+ * represented by its first 6 digits (bin), and not at all in strict mode.
+ * @typedef {Object} AnalyticsEvent
+ * @property {AnalyticsEventType} type
+ * @property {number} time - Date.now() when the event happened
+ * @property {FieldName} [field] - Field the event is about
+ * @property {number} [duration] - Milliseconds since the field first got focus
+ * @property {number} [corrections] - Edits that changed characters already entered
+ * @property {number} [deletions] - Edits that removed characters
+ * @property {'typed' | 'pasted'} [inputMethod] - Whether any text was pasted into the field
+ * @property {number} [luhnFailures] - How many times the card number failed the Luhn check (card only)
+ * @property {string} [brand] - Detected card type (card and brandDetected only)
+ * @property {string} [bin] - First 6 digits of the card number, once typed (not in strict mode)
+ * @property {Status} [status] - Field status when it was abandoned
+ * @property {ErrorCode[]} [errors] - Field errors when it was abandoned
+ * @property {FieldName[]} [fields] - Fields filled by a paste
+ * @property {boolean} [isAllValid] - Whether the submission went through (submit only)
+ * @property {FieldName[]} [invalidFields] - Fields that blocked the submission (submit only)
+ */
+
+/**
+ * @typedef {Object} AnalyticsOptions
+ * @property {function(AnalyticsEvent[]): void} onEvents - Receives batches of events, e.g. to forward them to a collector
+ * @property {number} [batchSize=10] - Events that trigger a flush right away
+ * @property {number} [flushInterval=5000] - Milliseconds after the first queued event before a flush
+ * @property {boolean} [strict=false] - Leave out every digit of the card number, including the BIN
+ */
+
+/**
+ * @typedef {Object} FieldUpdate
+ * @property {string} content - Field value without separators
+ * @property {Status} status - Field status
+ * @property {ErrorCode[]} errors - Field errors
+ * @property {string} [brand] - Detected card type (card only)
+ * @property {number} [maxDigits] - Longest card number of the brand (card only)
+ */
+
+/**
+ * @typedef {Object} FieldMetrics
+ * @property {number|null} startedAt - Time of the first focus (or paste), null until then
+ * @property {string} content - Last known value without separators
+ * @property {Status} status
+ * @property {ErrorCode[]} errors
+ * @property {number} corrections
+ * @property {number} deletions
+ * @property {boolean} deleted - The last edit removed characters
+ * @property {boolean} pasted
+ * @property {number} luhnFailures
+ * @property {boolean} luhnFailed - A Luhn failure of the current content was counted
+ * @property {boolean} completed - fieldComplete was sent
+ */
+
+/** Leading card number digits that identify the issuer and may be reported */
+const BIN_LENGTH = 6;
+
+/**
+ * @returns {FieldMetrics}
+ */
+function createFieldMetrics() {
+    return {
+        startedAt: null,
+        content: '',
+        status: 'neutral',
+        errors: [],
+        corrections: 0,
+        deletions: 0,
+        deleted: false,
+        pasted: false,
+        luhnFailures: 0,
+        luhnFailed: false,
+        completed: false,
+    };
+}
+
+/**
+ * Turns field interactions into sanitized analytics events and hands them over in batches.
+ * Receives field contents to measure edits, but only reports counts, durations, statuses,
+ * error codes and the card brand (plus the BIN outside strict mode).
+ */
+export class AnalyticsTracker {
+    /**
+     * @param {AnalyticsOptions} options
+     */
+    constructor({ onEvents, batchSize = 10, flushInterval = 5000, strict = false }) {
+        this.onEvents = onEvents;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.strict = strict;
+        /** @type {AnalyticsEvent[]} */
+        this._queue = [];
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this._timer = null;
+        /** @type {Map<FieldName, FieldMetrics>} */
+        this._fields = new Map();
+        this._brand = '';
+    }
+
+    /**
+     * Records that a field got focus; the time to complete it is measured from its first focus.
+     * @param {FieldName} field
+     * @returns {void}
+     */
+    focus(field) {
+        const metrics = this._getMetrics(field);
+        if (metrics.startedAt === null) metrics.startedAt = Date.now();
+    }
+
+    /**
+     * Records that a field lost focus and reports it as abandoned if it was edited and is not valid.
+     * @param {FieldName} field
+     * @returns {void}
+     */
+    blur(field) {
+        const metrics = this._getMetrics(field);
+        if (metrics.startedAt === null) return;
+        // Leaving a number that fails the check, even at a length that could still grow
+        if (metrics.errors.includes(ERROR_CODES.LUHN_FAILED)) this._countLuhnFailure(metrics);
+        if (metrics.completed || !metrics.content) return;
+        if (metrics.status === 'valid') return;
+
+        this.track({
+            type: 'fieldAbandoned',
+            ...this._describeField(field, metrics),
+            status: metrics.status,
+            errors: metrics.errors.slice(),
+        });
+    }
+
+    /**
+     * Records a status update of a field: counts deletions, corrections and Luhn failures,
+     * reports brand changes and the first time the field becomes valid.
+     * A Luhn failure only counts once the number is invalid or as long as the brand allows:
+     * shorter allowed lengths fail on the way to a longer valid number.
+     * @param {FieldName} field
+     * @param {FieldUpdate} update
+     * @returns {void}
+     */
+    update(field, { content, status, errors, brand, maxDigits }) {
+        const metrics = this._getMetrics(field);
+        const previous = metrics.content;
+        const started = metrics.startedAt !== null;
+        const luhnFailed = errors.includes(ERROR_CODES.LUHN_FAILED);
+
+        if (started && content !== previous) {
+            if (content.length < previous.length) {
+                metrics.deletions++;
+                metrics.deleted = true;
+            } else if (metrics.deleted || !content.startsWith(previous)) {
+                // Typing again after a deletion, or overwriting entered characters
+                metrics.corrections++;
+                metrics.deleted = false;
+            }
+            metrics.luhnFailed = false;
+        }
+        if (started && luhnFailed) {
+            const atMaxLength = maxDigits !== undefined && content.length >= maxDigits;
+            if (status === 'invalid' || atMaxLength) this._countLuhnFailure(metrics);
+        }
+        metrics.content = content;
+        metrics.status = status;
+        metrics.errors = errors;
+
+        if (brand !== undefined && brand !== this._brand) {
+            this._brand = brand;
+            if (started && brand && brand !== 'Unknown') {
+                this.track({ type: 'brandDetected', field, brand });
+            }
+        }
+
+        this._checkComplete(field, metrics);
+    }
+
+    /**
+     * Records a paste into a field; a smart paste may fill other fields as well.
+     * @param {FieldName} field - Field the text was pasted into
+     * @param {FieldName[]} [fields] - Fields that received a part of the pasted text
+     * @returns {void}
+     */
+    paste(field, fields = [field]) {
+        for (const filled of fields) {
+            const metrics = this._getMetrics(filled);
+            if (metrics.startedAt === null) metrics.startedAt = Date.now();
+            metrics.pasted = true;
+        }
+        this.track({ type: 'paste', field, fields: fields.slice() });
+        // A smart paste reports the filled fields before this call
+        for (const filled of fields) {
+            this._checkComplete(filled, this._getMetrics(filled));
+        }
+    }
+
+    /**
+     * Records a submit attempt.
+     * @param {boolean} isAllValid
+     * @param {FieldName[]} invalidFields
+     * @returns {void}
+     */
+    submit(isAllValid, invalidFields) {
+        this.track({ type: 'submit', isAllValid, invalidFields: invalidFields.slice() });
+    }
+
+    /**
+     * Forgets the metrics of every field, e.g. after the form was reset. Queued events are kept.
+     * @returns {void}
+     */
+    resetFields() {
+        this._fields.clear();
+        this._brand = '';
+    }
+
+    /**
+     * Queues an event and flushes once the batch is full.
+     * @param {Omit<AnalyticsEvent, 'time'>} event
+     * @returns {void}
+     */
+    track(event) {
+        this._queue.push({ ...event, time: Date.now() });
+        if (this._queue.length >= this.batchSize) {
+            this.flush();
+        } else if (this._timer === null) {
+            this._timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    /**
+     * Hands queued events to onEvents right away.
+     * @returns {void}
+     */
+    flush() {
+        if (this._timer !== null) clearTimeout(this._timer);
+        this._timer = null;
+        if (this._queue.length === 0) return;
+        const events = this._queue;
+        this._queue = [];
+        this.onEvents(events);
+    }
+
+    /**
+     * Flushes queued events and stops the timer.
+     * @returns {void}
+     */
+    destroy() {
+        this.flush();
+        this._fields.clear();
+    }
+
+    /**
+     * @param {FieldName} field
+     * @returns {FieldMetrics}
+     */
+    _getMetrics(field) {
+        let metrics = this._fields.get(field);
+        if (!metrics) {
+            metrics = createFieldMetrics();
+            this._fields.set(field, metrics);
+        }
+        return metrics;
+    }
+
+    /**
+     * Counts a Luhn failure once per card number content.
+     * @param {FieldMetrics} metrics
+     */
+    _countLuhnFailure(metrics) {
+        if (metrics.luhnFailed) return;
+        metrics.luhnFailed = true;
+        metrics.luhnFailures++;
+    }
+
+    /**
+     * Reports the first time a started field is valid.
+     * @param {FieldName} field
+     * @param {FieldMetrics} metrics
+     */
+    _checkComplete(field, metrics) {
+        if (metrics.startedAt === null || metrics.status !== 'valid' || metrics.completed) return;
+        metrics.completed = true;
+        this.track({ type: 'fieldComplete', ...this._describeField(field, metrics) });
+    }
+
+    /**
+     * Sanitized measurements of a field shared by fieldComplete and fieldAbandoned.
+     * @param {FieldName} field
+     * @param {FieldMetrics} metrics
+     * @returns {Omit<AnalyticsEvent, 'type' | 'time'>}
+     */
+    _describeField(field, metrics) {
+        /** @type {Omit<AnalyticsEvent, 'type' | 'time'>} */
+        const details = {
+            field,
+            duration: Date.now() - /** @type {number} */ (metrics.startedAt),
+            corrections: metrics.corrections,
+            deletions: metrics.deletions,
+            inputMethod: metrics.pasted ? 'pasted' : 'typed',
+        };
+        if (field === 'card') {
+            details.luhnFailures = metrics.luhnFailures;
+            details.brand = this._brand;
+            if (!this.strict && metrics.content.length >= BIN_LENGTH) {
+                details.bin = metrics.content.slice(0, BIN_LENGTH);
+            }
+        }
+        return details;
+    }
+}
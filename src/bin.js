@@ -0,0 +1,65 @@
+// @ts-check
+
+/**
+ * @typedef {'credit' | 'debit' | 'prepaid' | 'charge'} CardFunding
+ */
+
+/**
+ * Issuer details of a bank identification number (the first 6-8 digits of a card number).
+ * @typedef {Object} BinInfo
+ * @property {string} bin - BIN the details belong to
+ * @property {string} [brand] - Card network (Visa, Mastercard, ...)
+ * @property {string} [issuer] - Issuing bank
+ * @property {string} [country] - ISO 3166-1 alpha-2 country code of the issuer
+ * @property {CardFunding} [funding] - Funding type
+ * @property {string} [level] - Card level (classic, gold, platinum, business, ...)
+ */
+
+/**
+ * Async BIN lookup provider. Receives the first 6 or 8 digits and resolves with the issuer
+ * details, or null if the BIN is unknown. The signal is aborted when the lookup becomes stale.
+ * @typedef {function(string, { signal: AbortSignal }): Promise<BinInfo|null>} BinLookup
+ */
+
+/**
+ * Issuer details shared by the entries of TEST_BIN_TABLE.
+ * @param {string} brand
+ * @param {CardFunding} funding
+ * @param {string} level
+ * @returns {Omit<BinInfo, 'bin'>}
+ */
+function testBin(brand, funding, level) {
+    return { brand, issuer: 'Test Issuer', country: 'US', funding, level };
+}
+
+/**
+ * BINs of common test card numbers, so lookups work offline and in tests.
+ * @type {Object<string, Omit<BinInfo, 'bin'>>}
+ */
+export const TEST_BIN_TABLE = {
+    424242: testBin('Visa', 'credit', 'classic'),
+    411111: testBin('Visa', 'credit', 'classic'),
+    400005: testBin('Visa', 'debit', 'classic'),
+    555555: testBin('Mastercard', 'credit', 'standard'),
+    520082: testBin('Mastercard', 'debit', 'standard'),
+    510510: testBin('Mastercard', 'prepaid', 'standard'),
+    378282: testBin('American Express', 'charge', 'gold'),
+    601111: testBin('Discover', 'credit', 'classic'),
+};
+
+/**
+ * Creates a BIN lookup provider backed by a static table. The longest matching prefix wins,
+ * so a table may mix 6- and 8-digit BINs.
+ * @param {Object<string, Omit<BinInfo, 'bin'>>} [table] - Issuer details by BIN (TEST_BIN_TABLE by default)
+ * @returns {BinLookup}
+ * @example
+ * const binLookup = createStaticBinLookup({ 45717360: { issuer: 'Example Bank', funding: 'debit' } });
+ */
+export function createStaticBinLookup(table = TEST_BIN_TABLE) {
+    const prefixes = Object.keys(table).sort((a, b) => b.length - a.length);
+
+    return async bin => {
+        const prefix = prefixes.find(p => bin.startsWith(p));
+        return prefix ? { bin: prefix, ...table[prefix] } : null;
+    };
+}
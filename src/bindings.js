@@ -0,0 +1,92 @@
+// @ts-check
+
+import { CreditCardEngine } from './engine.js';
+import { CreditCardInput } from './cc-input.js';
+
+/**
+ * @typedef {import('./engine.js').FieldName} FieldName
+ * @typedef {import('./engine.js').EngineState} EngineState
+ * @typedef {import('./engine.js').CardStatusEvent} CardStatusEvent
+ * @typedef {import('./engine.js').ExpiryStatusEvent} ExpiryStatusEvent
+ * @typedef {import('./engine.js').CvvStatusEvent} CvvStatusEvent
+ * @typedef {import('./engine.js').NameStatusEvent} NameStatusEvent
+ * @typedef {import('./engine.js').PostalCodeStatusEvent} PostalCodeStatusEvent
+ * @typedef {ConstructorParameters<typeof CreditCardInput>[0]} CreditCardInputOptions
+ */
+
+/**
+ * Options of CreditCardInput without the input elements, which come from the ref callbacks.
+ * The hooks render a single expiry input, so the split expiry options are left out as well.
+ * @typedef {Omit<CreditCardInputOptions, 'cardInput' | 'expiryInput' | 'expiryMonthInput' | 'expiryYearInput' | 'populateExpirySelects' | 'cvvInput' | 'nameInput' | 'postalCodeInput'>} BindingOptions
+ */
+
+/**
+ * @typedef {Object} BindingInputs
+ * @property {HTMLInputElement} cardInput
+ * @property {HTMLInputElement} expiryInput
+ * @property {HTMLInputElement} cvvInput
+ * @property {HTMLInputElement|null} [nameInput]
+ * @property {HTMLInputElement|null} [postalCodeInput]
+ */
+
+/**
+ * @typedef {Object} LatestEvents
+ * @property {CardStatusEvent|null} card
+ * @property {ExpiryStatusEvent|null} expiry
+ * @property {CvvStatusEvent|null} cvv
+ * @property {NameStatusEvent|null} name
+ * @property {PostalCodeStatusEvent|null} postalCode
+ */
+
+/**
+ * State exposed by the framework bindings: getState() plus the latest status event of each field.
+ * @typedef {EngineState & { events: LatestEvents }} CreditCardState
+ */
+
+/**
+ * State before the inputs are mounted.
+ * @returns {CreditCardState}
+ */
+export function createInitialState() {
+    return {
+        ...new CreditCardEngine().getState(),
+        events: { card: null, expiry: null, cvv: null, name: null, postalCode: null },
+    };
+}
+
+/**
+ * Connects mounted inputs to a new CreditCardInput and publishes its state once per change event.
+ * disconnect() destroys the instance, so StrictMode double effects and re-mounts start clean.
+ * @param {BindingInputs} inputs - Mounted input elements
+ * @param {BindingOptions} options - CreditCardInput options
+ * @param {function(CreditCardState): void} onChange - Receives a new state object on every change
+ * @returns {{ creditCard: CreditCardInput, disconnect: () => void }}
+ */
+export function connectCreditCardInput(inputs, options, onChange) {
+    const creditCard = new CreditCardInput({
+        ...options,
+        ...inputs,
+        nameInput: inputs.nameInput || undefined,
+        postalCodeInput: inputs.postalCodeInput || undefined,
+    });
+
+    /** @type {LatestEvents} */
+    const events = { card: null, expiry: null, cvv: null, name: null, postalCode: null };
+    creditCard.onCardStatus(event => (events.card = event));
+    creditCard.onExpiryStatus(event => (events.expiry = event));
+    creditCard.onCvvStatus(event => (events.cvv = event));
+    creditCard.onNameStatus(event => (events.name = event));
+    creditCard.onPostalCodeStatus(event => (events.postalCode = event));
+
+    creditCard.init();
+    // The initial state is published below, not again by the change event of init()
+    creditCard.flushChanges();
+
+    /** @param {EngineState} state */
+    const publish = state => onChange({ ...state, events: { ...events } });
+    // One state object per change instead of one per field event
+    creditCard.onChange(({ state }) => publish(state));
+    publish(creditCard.getState());
+
+    return { creditCard, disconnect: () => creditCard.destroy() };
+}
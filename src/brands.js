@@ -0,0 +1,346 @@
+// @ts-check
+
+/**
+ * A card number prefix: either a literal string of digits (e.g. "34")
+ * or an inclusive numeric range of prefixes with the same number of digits (e.g. [2221, 2720]).
+ * @typedef {string | [number, number]} CardPrefix
+ */
+
+/**
+ * @typedef {Object} CardBrand
+ * @property {string} type - Brand name returned by getCardType (Visa, Mastercard, ...)
+ * @property {CardPrefix[]} prefixes - IIN prefixes and prefix ranges that identify the brand
+ * @property {number[]} lengths - Allowed card number lengths, in ascending order
+ * @property {number[]} groups - Group sizes used to format the number (e.g. [4, 6, 5] for Amex)
+ * @property {number} cvvLength - Length of the security code
+ * @property {string} [cvvName] - Name of the security code printed on the card (CVV, CVC, CID, ...)
+ * @property {boolean} [luhn] - Whether the number is checked with the Luhn algorithm (default: true)
+ */
+
+/**
+ * @typedef {Object} CardRules
+ * @property {CardBrand|null} brand - Detected brand or null if none matched
+ * @property {number[]} lengths - Allowed card number lengths
+ * @property {number} maxDigits - Maximum card number length
+ * @property {number[]} groups - Group sizes used to format the number
+ * @property {number} cvvLength - Expected security code length
+ * @property {string} cvvName - Name of the security code
+ * @property {boolean} luhn - Whether the Luhn check applies
+ */
+
+/**
+ * Rules used when the number does not belong to any registered brand.
+ * @type {Readonly<Omit<CardRules, 'brand'>>}
+ */
+export const DEFAULT_CARD_RULES = Object.freeze({
+    lengths: [16],
+    maxDigits: 16,
+    groups: [4, 4, 4, 4],
+    cvvLength: 3,
+    cvvName: 'CVV',
+    luhn: true,
+});
+
+/** @type {CardBrand[]} */
+const BUILTIN_BRANDS = [
+    {
+        type: 'Visa',
+        prefixes: ['4'],
+        lengths: [13, 16, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CVV',
+    },
+    {
+        type: 'Mastercard',
+        prefixes: [
+            [51, 55],
+            [2221, 2720],
+        ],
+        lengths: [16],
+        groups: [4, 4, 4, 4],
+        cvvLength: 3,
+        cvvName: 'CVC',
+    },
+    {
+        type: 'American Express',
+        prefixes: ['34', '37'],
+        lengths: [15],
+        groups: [4, 6, 5],
+        cvvLength: 4,
+        cvvName: 'CID',
+    },
+    {
+        type: 'RuPay',
+        // 65 belongs to Discover and 81 to UnionPay; only these longer ranges are RuPay's
+        prefixes: ['60', [652150, 653149], [817200, 820199], '82', '508'],
+        lengths: [16],
+        groups: [4, 4, 4, 4],
+        cvvLength: 3,
+        cvvName: 'CVV',
+    },
+    {
+        type: 'Discover',
+        prefixes: ['6011', [644, 649], '65'],
+        lengths: [16, 17, 18, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CID',
+    },
+    {
+        type: 'JCB',
+        prefixes: [[3528, 3589]],
+        lengths: [16, 17, 18, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CAV2',
+    },
+    {
+        type: 'Diners Club',
+        prefixes: [[300, 305], '36', '38', '39'],
+        lengths: [14],
+        groups: [4, 6, 4],
+        cvvLength: 3,
+        cvvName: 'CVV',
+    },
+    {
+        type: 'UnionPay',
+        prefixes: ['62', '81'],
+        lengths: [16, 17, 18, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CVN',
+    },
+    {
+        type: 'Maestro',
+        prefixes: ['5018', '5020', '5038', '5893', '6304', '6759', '6761', '6762', '6763'],
+        lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CVC',
+    },
+    {
+        type: 'Mir',
+        prefixes: [[2200, 2204]],
+        lengths: [16, 17, 18, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CVP2',
+    },
+    {
+        type: 'Elo',
+        prefixes: [
+            '401178',
+            '401179',
+            '431274',
+            '438935',
+            '451416',
+            '457393',
+            '457631',
+            '457632',
+            '504175',
+            [506699, 506778],
+            [509000, 509999],
+            '627780',
+            '636297',
+            '636368',
+            [650031, 650033],
+            [650035, 650051],
+            [650405, 650439],
+            [650485, 650538],
+            [650541, 650598],
+            [650700, 650718],
+            [650720, 650727],
+            [650901, 650978],
+            [651652, 651679],
+            [655000, 655019],
+            [655021, 655058],
+        ],
+        lengths: [16],
+        groups: [4, 4, 4, 4],
+        cvvLength: 3,
+        cvvName: 'CVE',
+    },
+    {
+        type: 'Hipercard',
+        prefixes: ['606282', '3841'],
+        lengths: [16, 19],
+        groups: [4, 4, 4, 4, 3],
+        cvvLength: 3,
+        cvvName: 'CVC',
+    },
+];
+
+/** @type {CardBrand[]} */
+let brands = BUILTIN_BRANDS.map(cloneBrand);
+
+/**
+ * @param {CardBrand} brand
+ * @returns {CardBrand}
+ */
+function cloneBrand(brand) {
+    return {
+        ...brand,
+        prefixes: brand.prefixes.map(p => (Array.isArray(p) ? [p[0], p[1]] : p)),
+        lengths: brand.lengths.slice(),
+        groups: brand.groups.slice(),
+    };
+}
+
+/**
+ * Returns the number of leading digits the prefix matches, or 0 if it does not match.
+ * @param {CardPrefix} prefix
+ * @param {string} digits
+ * @returns {number}
+ */
+function matchPrefix(prefix, digits) {
+    if (typeof prefix === 'string') {
+        return digits.startsWith(prefix) ? prefix.length : 0;
+    }
+
+    const size = String(prefix[0]).length;
+    if (digits.length < size) return 0;
+    const value = parseInt(digits.substring(0, size), 10);
+    return value >= prefix[0] && value <= prefix[1] ? size : 0;
+}
+
+/**
+ * Registers a new card brand or overrides an existing one with the same type.
+ * When several brands match a number, the one with the longest matching prefix wins;
+ * on a tie, the brand registered last wins (an override keeps the position of the brand it replaces).
+ * @param {CardBrand} brand - Brand definition
+ * @returns {void}
+ * @example
+ * registerCardBrand({
+ *     type: 'Troy',
+ *     prefixes: ['9792'],
+ *     lengths: [16],
+ *     groups: [4, 4, 4, 4],
+ *     cvvLength: 3,
+ * });
+ */
+export function registerCardBrand(brand) {
+    if (!brand || !brand.type) {
+        throw new TypeError('Card brand must have a type');
+    }
+    if (!Array.isArray(brand.prefixes) || brand.prefixes.length === 0) {
+        throw new TypeError(`Card brand "${brand.type}" must have at least one prefix`);
+    }
+    if (!Array.isArray(brand.lengths) || brand.lengths.length === 0) {
+        throw new TypeError(`Card brand "${brand.type}" must have at least one length`);
+    }
+    if (!Array.isArray(brand.groups) || brand.groups.length === 0) {
+        throw new TypeError(`Card brand "${brand.type}" must have at least one group`);
+    }
+
+    const copy = cloneBrand(brand);
+    copy.lengths.sort((a, b) => a - b);
+
+    const index = brands.findIndex(b => b.type === brand.type);
+    if (index > -1) {
+        brands[index] = copy;
+    } else {
+        brands.push(copy);
+    }
+}
+
+/**
+ * Removes a card brand from the registry.
+ * @param {string} type - Brand name
+ * @returns {boolean} - true if the brand was registered
+ */
+export function unregisterCardBrand(type) {
+    const index = brands.findIndex(b => b.type === type);
+    if (index === -1) return false;
+    brands.splice(index, 1);
+    return true;
+}
+
+/**
+ * Restores the built-in brand registry, dropping all registered and overridden brands.
+ * @returns {void}
+ */
+export function resetCardBrands() {
+    brands = BUILTIN_BRANDS.map(cloneBrand);
+}
+
+/**
+ * Returns copies of all registered card brands.
+ * @returns {CardBrand[]}
+ */
+export function getCardBrands() {
+    return brands.map(cloneBrand);
+}
+
+/**
+ * Returns the registered brand with the given type.
+ * @param {string} type - Brand name (e.g. "Visa")
+ * @returns {CardBrand|null}
+ */
+export function getCardBrand(type) {
+    const brand = brands.find(b => b.type === type);
+    return brand ? cloneBrand(brand) : null;
+}
+
+/**
+ * Detects the brand of a card number using the registry.
+ * @param {string} digits - The card number as a string of digits
+ * @returns {CardBrand|null} - Matching brand or null
+ * @example
+ * detectCardBrand('2200123456789010').type // returns "Mir"
+ */
+export function detectCardBrand(digits) {
+    if (!digits) return null;
+
+    /** @type {CardBrand|null} */
+    let best = null;
+    let bestSize = 0;
+
+    for (const brand of brands) {
+        for (const prefix of brand.prefixes) {
+            const size = matchPrefix(prefix, digits);
+            if (size > 0 && size >= bestSize) {
+                best = brand;
+                bestSize = size;
+            }
+        }
+    }
+
+    return best ? cloneBrand(best) : null;
+}
+
+/**
+ * Returns the length, grouping and security code rules for a card number.
+ * Falls back to DEFAULT_CARD_RULES when no brand matches.
+ * @param {string} digits - The card number as a string of digits
+ * @returns {CardRules}
+ */
+export function getCardRules(digits) {
+    const brand = detectCardBrand(digits);
+    if (!brand) {
+        return {
+            ...DEFAULT_CARD_RULES,
+            brand: null,
+            lengths: DEFAULT_CARD_RULES.lengths.slice(),
+            groups: DEFAULT_CARD_RULES.groups.slice(),
+        };
+    }
+
+    return {
+        brand,
+        lengths: brand.lengths,
+        maxDigits: brand.lengths[brand.lengths.length - 1],
+        groups: brand.groups,
+        cvvLength: brand.cvvLength,
+        cvvName: brand.cvvName || DEFAULT_CARD_RULES.cvvName,
+        luhn: brand.luhn !== false,
+    };
+}
+
+/**
+ * Returns the longest security code length among registered brands.
+ * @returns {number}
+ */
+export function getMaxCvvLength() {
+    return brands.reduce((max, b) => Math.max(max, b.cvvLength), DEFAULT_CARD_RULES.cvvLength);
+}
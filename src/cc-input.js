@@ -1,102 +1,411 @@
 // @ts-check
 
-import { EventEmitterLite } from '@supercat1337/event-emitter';
+import { EventEmitter } from '@supercat1337/event-emitter';
 import {
     formatExpiry as defaultFormatExpiry,
     formatCvv as defaultFormatCvv,
     formatCardNumber as defaultFormatCardNumber,
+    formatName as defaultFormatName,
+    maskCardNumber,
+    maskCvv,
+    formatPostalCode as defaultFormatPostalCode,
 } from './format.js';
-import { getCardType as defaultGetCardType, isProbablyAmex, luhnValidate } from './helpers.js';
+import { extractDigits, getCardType as defaultGetCardType } from './helpers.js';
+import { CreditCardEngine } from './engine.js';
+import { parseCardData } from './paste.js';
+import { getCardRules } from './brands.js';
+import { getMessage } from './messages.js';
+import { LiveAnnouncer, addDescribedBy, applyFieldAttributes } from './a11y.js';
+import { MASK_DIGIT, bindMaskedInput } from './mask.js';
+import { AnalyticsTracker } from './analytics.js';
 
 /**
- * @typedef {'neutral' | 'valid' | 'invalid'} Status
+ * @typedef {import('./engine.js').Status} Status
+ * @typedef {import('./engine.js').FieldName} FieldName
+ * @typedef {import('./engine.js').ValidateOn} ValidateOn
+ * @typedef {import('./engine.js').Mode} Mode
+ * @typedef {import('./engine.js').FieldState} FieldState
+ * @typedef {import('./engine.js').FieldFocusEvent} FieldFocusEvent
+ * @typedef {import('./engine.js').CardStatusEvent} CardStatusEvent
+ * @typedef {import('./engine.js').ExpiryStatusEvent} ExpiryStatusEvent
+ * @typedef {import('./engine.js').CvvStatusEvent} CvvStatusEvent
+ * @typedef {import('./engine.js').NameStatusEvent} NameStatusEvent
+ * @typedef {import('./engine.js').PostalCodeStatusEvent} PostalCodeStatusEvent
+ * @typedef {import('./engine.js').AllValidEvent} AllValidEvent
+ * @typedef {import('./engine.js').EngineState} EngineState
+ * @typedef {import('./engine.js').StateChangeEvent} StateChangeEvent
+ * @typedef {import('./engine.js').FieldValues} FieldValues
+ * @typedef {import('./engine.js').ValidationResult} ValidationResult
+ * @typedef {import('./engine.js').CardData} CardData
+ * @typedef {import('./engine.js').TokenizeStartEvent} TokenizeStartEvent
+ * @typedef {import('./engine.js').TokenizeErrorEvent} TokenizeErrorEvent
+ * @typedef {import('./tokenize.js').Tokenizer} Tokenizer
+ * @typedef {import('./tokenize.js').TokenizeResult} TokenizeResult
+ * @typedef {import('./engine.js').BinInfoEvent} BinInfoEvent
+ * @typedef {import('./bin.js').BinInfo} BinInfo
+ * @typedef {import('./bin.js').BinLookup} BinLookup
+ * @typedef {import('./messages.js').ErrorCode} ErrorCode
+ * @typedef {import('./analytics.js').AnalyticsOptions} AnalyticsOptions
  */
 
 /**
- * @typedef {Object} CardStatusEvent
- * @property {Status} status - Current status of the card field
- * @property {string} value - Raw field value (with spaces)
- * @property {string} digits - Only digits of the card number
- * @property {string} type - Detected card type (Visa, Mastercard, ...)
- * @property {boolean} isAmex - Whether the card is American Express
- * @property {boolean} isValid - Luhn validation result (true/false if enough digits)
- * @property {number} maxDigits - Maximum length for this card type (15 for Amex, 16 for others)
+ * @typedef {Object} PasteEvent
+ * @property {FieldName} field - Field the text was pasted into
+ * @property {FieldName[]} fields - Fields that received a part of the pasted text
  */
 
 /**
- * @typedef {Object} ExpiryStatusEvent
- * @property {Status} status - Expiry field status
- * @property {string} value - Raw value (MM / YY)
- * @property {string} digits - Only digits
- * @property {number|null} month - Month (number) or null if insufficient digits
- * @property {number|null} year - Year (full, 20xx) or null
+ * @typedef {Object} FocusChangeEvent
+ * @property {FieldName} from - Field that had focus
+ * @property {FieldName} to - Field that received focus
+ * @property {'advance' | 'backspace'} reason - Why focus moved
  */
 
 /**
- * @typedef {Object} CvvStatusEvent
- * @property {Status} status - CVV field status
- * @property {string} value - Raw value
- * @property {string} digits - Only digits
- * @property {number} expectedLength - Expected length (3 or 4)
- * @property {boolean} isAmex - Amex flag (determined from card number)
+ * @typedef {Object} FormSubmitEvent
+ * @property {boolean} isAllValid - Whether the submission went through
+ * @property {FieldName[]} invalidFields - Fields that blocked the submission, in field order
  */
 
 /**
- * @typedef {Object} AllValidEvent
- * @property {boolean} isAllValid - true if all fields are valid
+ * @typedef {Object} AccessibilityOptions
+ * @property {Partial<Record<FieldName, HTMLElement>>} [errorElements] - Elements that show the error
+ *   of each field; linked through aria-describedby and filled with the error message
+ * @property {HTMLElement} [liveRegion] - Existing polite live region (a visually hidden one is created by default)
+ * @property {number} [announceDelay=1000] - Quiet time in milliseconds before an announcement is made
  */
 
+/**
+ * Name of the CSS animation that signals browser autofill, e.g.
+ * `input:-webkit-autofill { animation-name: cc-autofill; }` with an empty `@keyframes cc-autofill {}`.
+ * @type {string}
+ */
+export const AUTOFILL_ANIMATION_NAME = 'cc-autofill';
+
+/**
+ * Keys of CreditCardEngine values for each field.
+ * @type {Record<FieldName, 'number' | 'expiry' | 'cvv' | 'name' | 'postalCode'>}
+ */
+const VALUE_KEYS = {
+    card: 'number',
+    expiry: 'expiry',
+    cvv: 'cvv',
+    name: 'name',
+    postalCode: 'postalCode',
+};
+
+/**
+ * Characters of a postal code; everything else is a separator for the mask engine.
+ * @param {string} char
+ * @returns {boolean}
+ */
+const isPostalCodeChar = char => /[A-Za-z0-9]/.test(char);
+
+/**
+ * Whether an element of a field is a text input rather than a select.
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @returns {element is HTMLInputElement}
+ */
+const isTextInput = element => element.tagName !== 'SELECT';
+
+/**
+ * Replaces the options of a select with a placeholder and the given values,
+ * keeping the selected value if it is still offered.
+ * @param {HTMLSelectElement} select
+ * @param {string[]} values
+ * @param {string} placeholder - Label of the empty option
+ */
+function fillSelect(select, values, placeholder) {
+    const selected = select.value;
+    /**
+     * @param {string} value
+     * @param {string} label
+     */
+    const createOption = (value, label) => {
+        const option = select.ownerDocument.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    };
+    select.replaceChildren(createOption('', placeholder), ...values.map(v => createOption(v, v)));
+    select.value = values.includes(selected) ? selected : '';
+}
+
+/**
+ * Sets the month or year element of a split expiry date. A select gets the option
+ * with the same number, so '7', '07', '30' and '2030' all find their option.
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @param {string} digits - Month or year digits, empty to clear
+ */
+function setExpiryPart(element, digits) {
+    if (isTextInput(element) || !digits) {
+        element.value = digits;
+        return;
+    }
+    const number = parseInt(digits, 10) % 100;
+    const option = Array.from(element.options).find(o => parseInt(o.value, 10) % 100 === number);
+    element.value = option ? option.value : '';
+}
+
+/**
+ * Status event names of each field.
+ * @type {Record<FieldName, string>}
+ */
+const STATUS_EVENTS = {
+    card: 'cardStatusChange',
+    expiry: 'expiryStatusChange',
+    cvv: 'cvvStatusChange',
+    name: 'nameStatusChange',
+    postalCode: 'postalCodeStatusChange',
+};
+
+/**
+ * DOM adapter for CreditCardEngine: formats the input elements in place
+ * and forwards their values to the engine.
+ */
 export class CreditCardInput {
     /**
      * @param {Object} options
      * @param {HTMLInputElement} options.cardInput - Card number input field
-     * @param {HTMLInputElement} options.expiryInput - Expiry date input field
+     * @param {HTMLInputElement} [options.expiryInput] - Expiry date input field; required unless
+     *   expiryMonthInput and expiryYearInput are given
+     * @param {HTMLInputElement|HTMLSelectElement} [options.expiryMonthInput] - Expiry month input or select,
+     *   used with expiryYearInput instead of expiryInput
+     * @param {HTMLInputElement|HTMLSelectElement} [options.expiryYearInput] - Expiry year input or select
+     * @param {boolean} [options.populateExpirySelects=false] - Fill month and year selects with 01-12 and
+     *   the years of the valid window on init()
      * @param {HTMLInputElement} options.cvvInput - CVV input field
+     * @param {HTMLInputElement} [options.nameInput] - Cardholder name input field (counts toward allValid when set)
+     * @param {HTMLInputElement} [options.postalCodeInput] - Billing postal code input field (counts toward allValid when set)
+     * @param {string[]} [options.acceptedBrands] - Card types that may be used; other and unknown brands
+     *   are invalid (UNSUPPORTED_BRAND). Every brand is accepted when empty or unset
+     * @param {Mode} [options.mode] - 'production' rejects known test cards (TEST_CARD), 'sandbox' rejects
+     *   other cards (NOT_TEST_CARD); no check when unset
+     * @param {string} [options.postalCodeCountry] - ISO country code for postal code rules (US, CA, UK, ...)
+     * @param {string} [options.expiryFormat='MM / YY'] - Expiry layout: 'MM / YY', 'MM/YY', 'MM/YYYY', 'MM-YY', ...
+     * @param {string} [options.expirySeparator] - Separator between month and year; overrides the one in expiryFormat
+     * @param {number} [options.maxYearsAhead=10] - How many years ahead an expiry date may be
+     * @param {function(): Date} [options.now] - Clock used for expiry validation
+     * @param {ValidateOn} [options.validateOn='input'] - When 'invalid' is surfaced: on input, after blur or after submit
+     * @param {boolean} [options.maskCardOnBlur=false] - Show the card number as •••• •••• •••• 1234 while the field is not focused
+     * @param {boolean} [options.maskCvvOnBlur=false] - Show the CVV as ••• while the field is not focused
+     * @param {string} [options.maskChar='•'] - Character used for masked digits
+     * @param {boolean} [options.autoAdvance=false] - Move focus to the next field when a field is complete,
+     *   and back to the previous one on Backspace in an empty field
+     * @param {FieldName[]} [options.fieldOrder] - Field order for autoAdvance (defaults to card, expiry, cvv, name, postalCode)
+     * @param {boolean | AccessibilityOptions} [options.accessibility=false] - Set inputmode, autocomplete
+     *   and aria-invalid on the inputs and announce the card type and errors in a live region
+     * @param {AnalyticsOptions} [options.analytics] - Opt-in interaction analytics: sanitized events
+     *   (time to complete, corrections, paste, Luhn failures, abandoned fields) delivered in batches
+     * @param {Tokenizer} [options.tokenizer] - Adapter that turns card data into a token (see tokenize())
+     * @param {boolean} [options.clearAfterTokenize=false] - Clear the card number and CVV inputs after successful tokenization
+     * @param {BinLookup} [options.binLookup] - Async provider of issuer details, called once 6 digits are typed (and again at 8)
+     * @param {number} [options.binLookupDelay=300] - Debounce delay of BIN lookups in milliseconds
+     * @param {boolean} [options.suppressUnchangedEvents=false] - Skip field status events whose payload
+     *   equals the previous one of the same field (e.g. cvvStatusChange while the card number is typed)
+     * @param {HTMLFormElement} [options.form] - Form to bind to: inputs get custom validity messages
+     *   and submission is blocked until all fields are valid
      * @param {function(HTMLInputElement): void} [options.formatCardNumber] - Custom card number formatter
      * @param {function(HTMLInputElement): void} [options.formatExpiry] - Custom expiry formatter
      * @param {function(HTMLInputElement): void} [options.formatCvv] - Custom CVV formatter
+     * @param {function(HTMLInputElement): void} [options.formatName] - Custom cardholder name formatter
+     * @param {function(HTMLInputElement): void} [options.formatPostalCode] - Custom postal code formatter
      * @param {function(string): string} [options.getCardType] - Custom card type detector
      */
     constructor({
         cardInput,
         expiryInput,
+        expiryMonthInput,
+        expiryYearInput,
+        populateExpirySelects = false,
         cvvInput,
-        formatCardNumber = defaultFormatCardNumber,
-        formatExpiry = defaultFormatExpiry,
-        formatCvv = defaultFormatCvv,
+        nameInput,
+        postalCodeInput,
+        acceptedBrands,
+        mode,
+        postalCodeCountry,
+        expiryFormat,
+        expirySeparator,
+        maxYearsAhead,
+        now,
+        validateOn,
+        maskCardOnBlur = false,
+        maskCvvOnBlur = false,
+        maskChar = '•',
+        autoAdvance = false,
+        fieldOrder,
+        form,
+        accessibility = false,
+        analytics,
+        tokenizer,
+        clearAfterTokenize,
+        binLookup,
+        binLookupDelay,
+        suppressUnchangedEvents,
+        formatCardNumber,
+        formatExpiry,
+        formatCvv,
+        formatName,
+        formatPostalCode,
         getCardType = defaultGetCardType,
     }) {
+        if (!expiryInput && !(expiryMonthInput && expiryYearInput)) {
+            throw new TypeError(
+                'CreditCardInput needs an expiryInput, or an expiryMonthInput and an expiryYearInput'
+            );
+        }
+
         this.cardInput = cardInput;
-        this.expiryInput = expiryInput;
+        this.expiryInput = expiryInput || null;
+        this.expiryMonthInput = expiryInput ? null : expiryMonthInput || null;
+        this.expiryYearInput = expiryInput ? null : expiryYearInput || null;
+        this._populateExpirySelects = populateExpirySelects;
+        // A year typed into a split expiry date is converted once the user leaves the input
+        this._expiryYearPending = false;
         this.cvvInput = cvvInput;
+        this.nameInput = nameInput || null;
+        this.postalCodeInput = postalCodeInput || null;
+        this.form = form || null;
+        /** @type {AccessibilityOptions|null} */
+        this._accessibility = accessibility === true ? {} : accessibility || null;
+        /** @type {LiveAnnouncer|null} */ this._announcer = null;
+        /** @type {AnalyticsOptions|null} */ this._analyticsOptions = analytics || null;
+        /** @type {AnalyticsTracker|null} */ this._analytics = null;
+        this._initialized = false;
+        /**
+         * Removes the DOM listeners added by init()
+         * @type {Array<() => void>}
+         */
+        this._cleanups = [];
+
+        this.autoAdvance = autoAdvance;
+        this.maskCardOnBlur = maskCardOnBlur;
+        this.maskCvvOnBlur = maskCvvOnBlur;
+        this.maskChar = maskChar;
+        /**
+         * Fields whose input shows a masked value; the real value stays in the engine
+         * @type {Set<FieldName>}
+         */
+        this._maskedFields = new Set();
+        /** @type {FieldName[]|null} */ this._fieldOrder = fieldOrder || null;
 
         // Instance-specific formatters
-        this._formatCardNumber = formatCardNumber;
-        this._formatExpiry = formatExpiry;
-        this._formatCvv = formatCvv;
-        this._getCardType = getCardType;
+        this._formatCardNumber = formatCardNumber || defaultFormatCardNumber;
+        this._formatExpiry =
+            formatExpiry || (input => defaultFormatExpiry(input, this.engine.getExpiryFormat()));
+        this._formatCvv = formatCvv || defaultFormatCvv;
+        this._formatName = formatName || defaultFormatName;
+        this._formatPostalCode =
+            formatPostalCode ||
+            (input => defaultFormatPostalCode(input, this.engine.getPostalCodeCountry()));
+
+        /**
+         * Fields with a built-in formatter, formatted by the mask engine as the user types;
+         * custom formatters run after the input event
+         * @type {Set<FieldName>}
+         */
+        this._maskEngineFields = new Set();
+        if (!formatCardNumber) this._maskEngineFields.add('card');
+        if (!formatExpiry) this._maskEngineFields.add('expiry');
+        if (!formatCvv) this._maskEngineFields.add('cvv');
+        if (!formatPostalCode) this._maskEngineFields.add('postalCode');
 
-        this.eventEmitter = new EventEmitterLite();
+        this.eventEmitter = new EventEmitter();
 
-        // Internal states
-        /** @type {Status} */ this._cardStatus = 'neutral';
-        /** @type {Status} */ this._expiryStatus = 'neutral';
-        /** @type {Status} */ this._cvvStatus = 'neutral';
-        /** @type {string} */ this._cardType = '';
-        /** @type {boolean} */ this._isAmex = false;
-        /** @type {boolean} */ this._allValid = false;
+        // Validation state lives in the engine; events are published on our emitter
+        this.engine = new CreditCardEngine({
+            getCardType,
+            acceptedBrands,
+            mode,
+            requireName: !!nameInput,
+            requirePostalCode: !!postalCodeInput,
+            postalCodeCountry,
+            expiryFormat,
+            expirySeparator,
+            maxYearsAhead,
+            now,
+            validateOn,
+            tokenizer,
+            clearAfterTokenize,
+            binLookup,
+            binLookupDelay,
+            suppressUnchangedEvents,
+            eventEmitter: this.eventEmitter,
+            context: this,
+        });
     }
     // Public methods to trigger formatting (can also be called directly)
     formatCardNumber() {
-        this._formatCardNumber(this.cardInput);
+        if (!this._maskedFields.has('card')) this._formatCardNumber(this.cardInput);
     }
 
     formatExpiry() {
-        this._formatExpiry(this.expiryInput);
+        if (this.expiryInput) this._formatExpiry(this.expiryInput);
     }
 
     formatCvv() {
-        this._formatCvv(this.cvvInput);
+        if (!this._maskedFields.has('cvv')) this._formatCvv(this.cvvInput);
+    }
+
+    formatName() {
+        if (this.nameInput) this._formatName(this.nameInput);
+    }
+
+    formatPostalCode() {
+        if (this.postalCodeInput) this._formatPostalCode(this.postalCodeInput);
+    }
+
+    /**
+     * Change the country used for postal code rules, reformat and re-validate the postal code.
+     * @param {string} country - ISO country code (US, CA, UK, ...)
+     */
+    setPostalCodeCountry(country) {
+        this.engine.setPostalCodeCountry(country);
+        if (this.postalCodeInput) {
+            this.formatPostalCode();
+            this.engine.setPostalCode(this.postalCodeInput.value);
+        }
+    }
+
+    /**
+     * Change the card types that may be used (e.g. when the currency changes) and re-validate the card number.
+     * @param {string[]|null} brands - Card types (Visa, Mastercard, ...); empty or null accepts every brand
+     */
+    setAcceptedBrands(brands) {
+        this.engine.setAcceptedBrands(brands);
+    }
+
+    /**
+     * Get the card types that may be used, or null if every brand is accepted.
+     * @returns {string[]|null}
+     */
+    getAcceptedBrands() {
+        return this.engine.getAcceptedBrands();
+    }
+
+    /**
+     * Check a card type against acceptedBrands.
+     * @param {string} [type] - Card type (the detected one by default)
+     * @returns {boolean}
+     */
+    isBrandAccepted(type) {
+        return this.engine.isBrandAccepted(type);
+    }
+
+    /**
+     * Switch between sandbox and production mode and re-validate the card number.
+     * @param {Mode|null} mode - null turns the test card check off
+     */
+    setMode(mode) {
+        this.engine.setMode(mode);
+    }
+
+    /**
+     * Get the sandbox/production mode, or null if test cards are not checked.
+     * @returns {Mode|null}
+     */
+    getMode() {
+        return this.engine.getMode();
     }
 
     /**
@@ -105,7 +414,7 @@ export class CreditCardInput {
      * @returns {string} - Card type (Visa, Mastercard, etc.)
      */
     getCardType(digits) {
-        return this._getCardType(digits);
+        return this.engine.getCardType(digits);
     }
 
     // ---------- Public subscription methods ----------
@@ -138,7 +447,128 @@ export class CreditCardInput {
     }
 
     /**
-     * Subscribe to event when all three fields become valid or invalid.
+     * Subscribe to cardholder name status change event.
+     * @param {function(NameStatusEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onNameStatus(callback) {
+        return this.eventEmitter.on('nameStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to postal code status change event.
+     * @param {function(PostalCodeStatusEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onPostalCodeStatus(callback) {
+        return this.eventEmitter.on('postalCodeStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to smart paste event (combined card/expiry/CVV text spread across fields).
+     * @param {function(PasteEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onPaste(callback) {
+        return this.eventEmitter.on('paste', callback);
+    }
+
+    /**
+     * Subscribe to field focus event.
+     * @param {function(FieldFocusEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onFocus(callback) {
+        return this.eventEmitter.on('focus', callback);
+    }
+
+    /**
+     * Subscribe to field blur event.
+     * @param {function(FieldFocusEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onBlur(callback) {
+        return this.eventEmitter.on('blur', callback);
+    }
+
+    /**
+     * Subscribe to focus changes made by autoAdvance.
+     * @param {function(FocusChangeEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onFocusChange(callback) {
+        return this.eventEmitter.on('focusChange', callback);
+    }
+
+    /**
+     * Subscribe to submit attempts of the bound form.
+     * @param {function(FormSubmitEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onSubmit(callback) {
+        return this.eventEmitter.on('submit', callback);
+    }
+
+    /**
+     * Subscribe to the start of tokenization.
+     * @param {function(TokenizeStartEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeStart(callback) {
+        return this.eventEmitter.on('tokenizeStart', callback);
+    }
+
+    /**
+     * Subscribe to successful tokenization.
+     * @param {function(TokenizeResult, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeSuccess(callback) {
+        return this.eventEmitter.on('tokenizeSuccess', callback);
+    }
+
+    /**
+     * Subscribe to failed tokenization.
+     * @param {function(TokenizeErrorEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeError(callback) {
+        return this.eventEmitter.on('tokenizeError', callback);
+    }
+
+    /**
+     * Subscribe to issuer details of the card number (see binLookup).
+     * @param {function(BinInfoEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     */
+    onBinInfo(callback) {
+        return this.eventEmitter.on('binInfo', callback);
+    }
+
+    /**
+     * Subscribe to coalesced state changes: one event per input event (or microtask for other
+     * updates) with the full state and the keys that changed, instead of one event per field.
+     * @param {function(StateChangeEvent, CreditCardInput): void} callback
+     * @returns {() => void}
+     * @example
+     * creditCard.onChange(({ state, changes }) => {
+     *     if ('cardType' in changes) renderBrand(state.cardType);
+     * });
+     */
+    onChange(callback) {
+        return this.eventEmitter.on('change', callback);
+    }
+
+    /**
+     * Emit a pending change event right away instead of in a microtask.
+     * @returns {StateChangeEvent|null} - The event, or null if the state did not change
+     */
+    flushChanges() {
+        return this.engine.flushChanges();
+    }
+
+    /**
+     * Subscribe to event when all fields become valid or invalid.
      * @param {function(AllValidEvent, CreditCardInput): void} callback
      * @returns {() => void}
      */
@@ -158,56 +588,349 @@ export class CreditCardInput {
 
     /**
      * Get current state.
-     * @returns {{
-     *   cardStatus: Status,
-     *   expiryStatus: Status,
-     *   cvvStatus: Status,
-     *   cardType: string,
-     *   isAmex: boolean,
-     *   allValid: boolean
-     * }}
+     * @returns {EngineState}
      */
     getState() {
-        return {
-            cardStatus: this._cardStatus,
-            expiryStatus: this._expiryStatus,
-            cvvStatus: this._cvvStatus,
-            cardType: this._cardType,
-            isAmex: this._isAmex,
-            allValid: this._allValid,
-        };
+        return this.engine.getState();
+    }
+
+    /**
+     * Get the digits of the card number (also while the input shows a masked value).
+     * @returns {string}
+     */
+    getCardDigits() {
+        return this.engine.getCardDigits();
+    }
+
+    /**
+     * Get the last four digits of the card number.
+     * @returns {string}
+     */
+    getLast4() {
+        return this.engine.getLast4();
+    }
+
+    /**
+     * Get the expiry month and full year, or null until the expiry date is complete.
+     * @returns {{ month: number, year: number } | null}
+     */
+    getExpiry() {
+        return this.engine.getExpiry();
+    }
+
+    /**
+     * Get normalized values for submission: digits-only card number, numeric month,
+     * four-digit year, CVV and brand (plus name and postal code when their inputs are set).
+     * @returns {CardData}
+     */
+    toJSON() {
+        return this.engine.toJSON();
+    }
+
+    /**
+     * Append the normalized values of toJSON() to a FormData object.
+     * Missing values are appended as empty strings.
+     * @param {FormData} [formData] - FormData to append to (a new one by default)
+     * @returns {FormData}
+     * @example
+     * const body = creditCard.toFormData(new FormData(form));
+     */
+    toFormData(formData = new FormData()) {
+        for (const [key, value] of Object.entries(this.toJSON())) {
+            formData.append(key, value === null ? '' : String(value));
+        }
+        return formData;
+    }
+
+    /**
+     * Set the adapter that turns card data into a token.
+     * @param {Tokenizer|null} tokenizer
+     */
+    setTokenizer(tokenizer) {
+        this.engine.setTokenizer(tokenizer);
+    }
+
+    /**
+     * Hand the normalized card data straight to the tokenizer, without passing it through app state.
+     * Only works when all fields are valid. Emits tokenizeStart, then tokenizeSuccess or tokenizeError.
+     * @param {Object} [options]
+     * @param {boolean} [options.clear] - Clear the card number and CVV inputs on success (defaults to clearAfterTokenize)
+     * @returns {Promise<TokenizeResult>}
+     * @example
+     * const { token } = await creditCard.tokenize({ clear: true });
+     */
+    async tokenize(options) {
+        const result = await this.engine.tokenize(options);
+
+        // The engine may have cleared the sensitive values
+        const values = this.engine.getValues();
+        for (const field of /** @type {FieldName[]} */ (['card', 'cvv'])) {
+            const input = this._getInput(field);
+            if (input && !values[VALUE_KEYS[field]]) {
+                input.value = '';
+                this._maskedFields.delete(field);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Set the provider of issuer details; the current card number is looked up again.
+     * @param {BinLookup|null} binLookup
+     */
+    setBinLookup(binLookup) {
+        this.engine.setBinLookup(binLookup);
+    }
+
+    /**
+     * Get the issuer details of the card number, or null until a lookup resolved.
+     * @returns {BinInfo|null}
+     */
+    getBinInfo() {
+        return this.engine.getBinInfo();
+    }
+
+    /**
+     * Get the focus and edit state of a field.
+     * @param {FieldName} field
+     * @returns {FieldState}
+     */
+    getFieldState(field) {
+        return this.engine.getFieldState(field);
+    }
+
+    /**
+     * Record a submit attempt so every field surfaces its errors (see validateOn).
+     * @returns {EngineState}
+     */
+    markSubmitted() {
+        return this.engine.markSubmitted();
+    }
+
+    /**
+     * Get current error codes of every field.
+     * @returns {Record<FieldName, ErrorCode[]>}
+     */
+    getErrors() {
+        return this.engine.getErrors();
     }
 
     /**
      * Initialize event handlers.
-     * Call after setting up subscriptions.
+     * Call after setting up subscriptions. Calling it again before destroy() does nothing.
      */
     init() {
-        // Input event handlers
-        this.cardInput.addEventListener('input', () => {
-            this.formatCardNumber();
-            this._updateCardStatus();
-            this._updateCvvStatus(); // CVV depends on card type
-        });
+        if (this._initialized) return;
+        this._initialized = true;
 
-        this.expiryInput.addEventListener('input', () => {
-            this.formatExpiry();
-            this._updateExpiryStatus();
-        });
+        // Grouped digits, the expiry separator and postal codes must not be reordered on RTL pages
+        const ltrInputs = [
+            this.cardInput,
+            this.expiryInput,
+            this.expiryMonthInput,
+            this.expiryYearInput,
+            this.cvvInput,
+            this.postalCodeInput,
+        ];
+        for (const input of ltrInputs) {
+            if (input && !input.hasAttribute('dir')) {
+                input.setAttribute('dir', 'ltr');
+                this._cleanups.push(() => input.removeAttribute('dir'));
+            }
+        }
 
-        this.cvvInput.addEventListener('input', () => {
-            this.formatCvv();
-            this._updateCvvStatus();
-        });
+        for (const field of this._getFields()) {
+            const input = this._getInput(field);
+            if (!input) continue;
+
+            // Registered first, so the cursor is in place before the input listeners run
+            if (this._maskEngineFields.has(field)) {
+                const unbind = bindMaskedInput(input, {
+                    format: (value, cursor) => this._formatValue(field, value, cursor),
+                    isSlotChar: field === 'postalCode' ? isPostalCodeChar : undefined,
+                });
+                this._cleanups.push(unbind);
+            }
+            this._listen(input, 'input', () => {
+                this._syncField(field);
+                if (this.autoAdvance) this._advanceIfComplete(field);
+                // One change event per keystroke, before the browser renders
+                this.engine.flushChanges();
+            });
+            this._listen(input, 'focus', () => {
+                this._unmaskField(field);
+                this.engine.focusField(field);
+            });
+            this._listen(input, 'blur', () => {
+                this.engine.blurField(field);
+                this._maskField(field);
+            });
+            this._listen(input, 'keydown', event => {
+                if (this.autoAdvance) this._handleBackspace(field, /** @type {KeyboardEvent} */ (event));
+            });
+            // Autofill and programmatic changes may skip the input event
+            this._listen(input, 'change', () => this._syncFieldIfChanged(field));
+            this._listen(input, 'animationstart', event => {
+                if (/** @type {AnimationEvent} */ (event).animationName === AUTOFILL_ANIMATION_NAME) {
+                    this._syncFieldIfChanged(field);
+                }
+            });
+            this._listen(input, 'paste', event =>
+                this._handlePaste(field, /** @type {ClipboardEvent} */ (event))
+            );
+        }
+
+        const expiryParts = this._getExpiryParts();
+        if (expiryParts) {
+            if (this._populateExpirySelects) this.populateExpirySelects();
+            this._bindExpiryParts(...expiryParts);
+        }
+
+        if (this.form) this._bindForm(this.form);
+        if (this._accessibility) this._bindAccessibility(this._accessibility);
+        if (this._analyticsOptions) this._bindAnalytics(this._analyticsOptions);
 
         // Initial update
-        this._updateCardStatus();
-        this._updateExpiryStatus();
-        this._updateCvvStatus();
+        const { nameInput, postalCodeInput } = this;
+        this.engine.setValues({
+            number: this.cardInput.value,
+            expiry: this._getInputValue('expiry'),
+            cvv: this.cvvInput.value,
+            name: nameInput ? nameInput.value : '',
+            postalCode: postalCodeInput ? postalCodeInput.value : '',
+        });
+        this._maskUnfocusedFields();
 
         this.emit('init');
     }
 
+    /**
+     * Fill the month and year selects of a split expiry date with 01-12 and the years of the
+     * valid window (this year up to maxYearsAhead), keeping the selected values that are still offered.
+     * Text inputs are left alone.
+     */
+    populateExpirySelects() {
+        const parts = this._getExpiryParts();
+        if (!parts) return;
+        const [monthInput, yearInput] = parts;
+        const currentYear = this.engine.now().getFullYear();
+        const months = Array.from({ length: 12 }, (_, i) => String(i + 1).padStart(2, '0'));
+        const years = Array.from({ length: this.engine.maxYearsAhead + 1 }, (_, i) =>
+            String(currentYear + i)
+        );
+
+        if (!isTextInput(monthInput)) fillSelect(monthInput, months, 'MM');
+        if (!isTextInput(yearInput)) fillSelect(yearInput, years, 'YYYY');
+        if (this._initialized) this._syncFieldIfChanged('expiry');
+    }
+
+    /**
+     * Set field values programmatically (e.g. a saved card): runs the formatters
+     * and emits status events. Omitted fields keep their values.
+     * @param {FieldValues} values
+     * @returns {EngineState}
+     * @example
+     * creditCard.setValues({ number: '4111111111111111', expiry: '12/30' });
+     */
+    setValues(values) {
+        for (const field of this._getFields()) {
+            const input = this._getInput(field);
+            const value = values[VALUE_KEYS[field]];
+            if (!input || value === undefined) continue;
+
+            input.value = value;
+            this._maskedFields.delete(field);
+            this._format(field);
+        }
+        if (values.expiry !== undefined && this._getExpiryParts()) {
+            const digits = extractDigits(this.engine.formatExpiry(values.expiry).value);
+            this._setExpiryParts(digits.slice(0, 2), digits.slice(2));
+        }
+
+        const { nameInput, postalCodeInput } = this;
+        this.engine.setValues({
+            number: this.cardInput.value,
+            expiry: this._getInputValue('expiry'),
+            cvv: this.cvvInput.value,
+            name: nameInput ? nameInput.value : undefined,
+            postalCode: postalCodeInput ? postalCodeInput.value : undefined,
+        });
+        this._maskUnfocusedFields();
+
+        return this.getState();
+    }
+
+    /**
+     * Clear every input together with the touched, dirty and submitted state.
+     * @returns {EngineState}
+     */
+    reset() {
+        for (const field of this._getFields()) {
+            for (const input of this._getInputs(field)) input.value = '';
+        }
+        this._maskedFields.clear();
+        this._expiryYearPending = false;
+        const state = this.engine.reset();
+        if (this._analytics) this._analytics.resetFields();
+        return state;
+    }
+
+    /**
+     * Validate every field as on submit and return the full result.
+     * Invalid and empty fields surface their errors.
+     * @returns {ValidationResult}
+     */
+    validate() {
+        const result = this.engine.validate();
+        const order = this._getFieldOrder();
+        result.invalidFields.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        return result;
+    }
+
+    /**
+     * Remove every listener and input attribute added by init(), cancel a pending BIN lookup
+     * and restore masked inputs. Also clears all event subscriptions, including those added
+     * with onCardStatus() and the other on* methods; subscribe again before the next init().
+     */
+    destroy() {
+        this._cleanups.forEach(cleanup => cleanup());
+        this._cleanups = [];
+        this.engine.cancelBinLookup();
+
+        if (this._announcer) this._announcer.destroy();
+        this._announcer = null;
+        // Queued analytics events are delivered before the tracker goes away
+        if (this._analytics) this._analytics.destroy();
+        this._analytics = null;
+
+        for (const field of this._getFields()) {
+            this._unmaskField(field);
+        }
+
+        // A new emitter drops every subscription, including the engine's
+        this.eventEmitter = new EventEmitter();
+        this.engine.eventEmitter = this.eventEmitter;
+        this.engine.resetPublishedState();
+        this._initialized = false;
+    }
+
+    /**
+     * Deliver queued analytics events to the onEvents callback right away.
+     */
+    flushAnalytics() {
+        if (this._analytics) this._analytics.flush();
+    }
+
+    /**
+     * Re-run formatters and status updates for every field whose value changed
+     * without an input event (e.g. browser autofill).
+     */
+    refresh() {
+        for (const field of this._getFields()) {
+            this._syncFieldIfChanged(field);
+        }
+    }
+
     /**
      * Emit event (internal use).
      * @param {string} event
@@ -219,119 +942,587 @@ export class CreditCardInput {
 
     // ---------- Private methods ----------
 
-    _updateCardStatus() {
-        const value = this.cardInput.value;
-        const digits = value.replace(/\D/g, '');
-        const isAmex = isProbablyAmex(digits);
-        const maxDigits = isAmex ? 15 : 16;
-        const type = this.getCardType(digits);
-
-        this._cardType = type;
-        this._isAmex = isAmex;
-
-        /** @type {Status} */
-        let status = 'neutral';
-        let isValid = false;
-
-        if (digits.length >= maxDigits) {
-            isValid = luhnValidate(digits);
-            status = isValid ? 'valid' : 'invalid';
-        }
-
-        // Always emit event, as other fields (type, isAmex) may change
-        this._cardStatus = status;
-        this.emit('cardStatusChange', {
-            status,
-            value,
-            digits,
-            type,
-            isAmex,
-            isValid,
-            maxDigits,
-        });
+    /**
+     * Fields handled by this instance, in form order.
+     * @returns {FieldName[]}
+     */
+    _getFields() {
+        /** @type {FieldName[]} */
+        const fields = ['card', 'expiry', 'cvv'];
+        if (this.nameInput) fields.push('name');
+        if (this.postalCodeInput) fields.push('postalCode');
+        return fields;
+    }
 
-        this._checkAllValid();
+    /**
+     * Keeps the custom validity of every input in sync with its status (a message while 'invalid')
+     * and blocks submission of the form until all fields are valid. A form reset resets the fields.
+     * @param {HTMLFormElement} form
+     */
+    _bindForm(form) {
+        for (const field of this._getFields()) {
+            const inputs = this._getInputs(field);
+            if (!inputs.length) continue;
+            this.eventEmitter.on(STATUS_EVENTS[field], event => {
+                // Errors of fields that are not due yet (see validateOn) surface on submit
+                const message =
+                    event.status === 'invalid' ? getMessage(event.errors[0], event) : '';
+                for (const input of inputs) input.setCustomValidity(message);
+            });
+            this._cleanups.push(() => inputs.forEach(input => input.setCustomValidity('')));
+        }
+        this._listen(form, 'submit', event => this._handleSubmit(event));
+        this._listen(form, 'reset', event => {
+            // The browser clears the inputs after the reset event, without input events
+            const timer = setTimeout(() => {
+                if (!event.defaultPrevented) this.reset();
+            });
+            this._cleanups.push(() => clearTimeout(timer));
+        });
     }
 
-    _updateExpiryStatus() {
-        const value = this.expiryInput.value;
-        const digits = value.replace(/\D/g, '');
-        /** @type {Status} */
-        let status = 'neutral';
-        let month = null;
-        let year = null;
+    /**
+     * Sets input attributes, keeps aria-invalid and the error elements in sync with the field statuses
+     * and announces the detected card type and new errors.
+     * @param {AccessibilityOptions} options
+     */
+    _bindAccessibility({ errorElements = {}, liveRegion, announceDelay }) {
+        const announcer = new LiveAnnouncer({
+            document: this.cardInput.ownerDocument,
+            element: liveRegion,
+            delay: announceDelay,
+        });
+        this._announcer = announcer;
 
-        if (digits.length === 4) {
-            month = parseInt(digits.substring(0, 2), 10);
-            year = parseInt(digits.substring(2, 4), 10) + 2000;
+        const expiryParts = this._getExpiryParts();
+        for (const field of this._getFields()) {
+            const inputs = this._getInputs(field);
+            if (!inputs.length) continue;
+            const errorElement = errorElements[field];
 
-            if (month < 1 || month > 12) {
-                status = 'invalid';
+            if (field === 'expiry' && expiryParts) {
+                this._cleanups.push(applyFieldAttributes(expiryParts[0], 'expiryMonth'));
+                this._cleanups.push(applyFieldAttributes(expiryParts[1], 'expiryYear'));
             } else {
-                const now = new Date();
-                const currentYear = now.getFullYear();
-                const currentMonth = now.getMonth() + 1;
-
-                const currentTotal = currentYear * 12 + currentMonth;
-                const inputTotal = year * 12 + month;
-                const maxTotal = (currentYear + 10) * 12 + currentMonth;
-
-                if (inputTotal < currentTotal || inputTotal > maxTotal) {
-                    status = 'invalid';
-                } else {
-                    status = 'valid';
-                }
+                this._cleanups.push(applyFieldAttributes(inputs[0], field));
+            }
+            if (errorElement) {
+                inputs.forEach(input => this._cleanups.push(addDescribedBy(input, errorElement)));
             }
+            this._cleanups.push(() =>
+                inputs.forEach(input => input.removeAttribute('aria-invalid'))
+            );
+
+            let lastMessage = '';
+            this.eventEmitter.on(STATUS_EVENTS[field], event => {
+                const message =
+                    event.status === 'invalid' ? getMessage(event.errors[0], event) : '';
+                for (const input of inputs) {
+                    input.setAttribute('aria-invalid', String(event.status === 'invalid'));
+                }
+                if (errorElement) errorElement.textContent = message;
+
+                if (!message) {
+                    announcer.cancel(field);
+                } else if (message !== lastMessage) {
+                    announcer.announce(field, message);
+                }
+                lastMessage = message;
+            });
         }
 
-        this._expiryStatus = status;
-        this.emit('expiryStatusChange', {
-            status,
-            value,
-            digits,
-            month,
-            year,
+        let lastType = '';
+        this.onCardStatus(({ type }) => {
+            if (type === lastType) return;
+            lastType = type;
+            if (type && type !== 'Unknown') {
+                announcer.announce('cardType', getMessage('CARD_TYPE_DETECTED', { type }));
+            } else {
+                announcer.cancel('cardType');
+            }
         });
+    }
+
+    /**
+     * Feeds focus, status, paste and submit events to an analytics tracker.
+     * @param {AnalyticsOptions} options
+     */
+    _bindAnalytics(options) {
+        const tracker = new AnalyticsTracker(options);
+        this._analytics = tracker;
+
+        for (const field of this._getFields()) {
+            const inputs = this._getInputs(field);
+            if (!inputs.length) continue;
+
+            this.eventEmitter.on(STATUS_EVENTS[field], event => {
+                const { status, errors } = event;
+                // Value without separators: digits, the trimmed name or the compact postal code
+                const content = event.digits ?? event.postalCode ?? event.name;
+                const brand = field === 'card' ? event.type : undefined;
+                const maxDigits = field === 'card' ? event.maxDigits : undefined;
+                tracker.update(field, { content, status, errors, brand, maxDigits });
+            });
+            // A smart paste cancels the event and is reported by _handlePaste
+            for (const input of inputs) {
+                this._listen(input, 'paste', event => {
+                    if (!event.defaultPrevented) tracker.paste(field);
+                });
+            }
+        }
+
+        this.onFocus(({ field }) => tracker.focus(field));
+        this.onBlur(({ field }) => tracker.blur(field));
+        this.onSubmit(({ isAllValid, invalidFields }) => tracker.submit(isAllValid, invalidFields));
+
+        // Batches still queued when the page goes away would be lost
+        const view = this.cardInput.ownerDocument?.defaultView;
+        if (view) this._listen(view, 'pagehide', () => tracker.flush());
+    }
+
+    /**
+     * @param {Event} event - Submit event of the bound form
+     */
+    _handleSubmit(event) {
+        const { isAllValid, invalidFields } = this.validate();
+
+        if (!isAllValid) {
+            event.preventDefault();
+            const [input] = invalidFields.length ? this._getInputs(invalidFields[0]) : [];
+            if (input) input.focus();
+        }
+
+        this.emit('submit', { isAllValid, invalidFields });
+    }
+
+    /**
+     * Adds a DOM listener that destroy() removes.
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {function(Event): void} listener
+     */
+    _listen(target, type, listener) {
+        target.addEventListener(type, listener);
+        this._cleanups.push(() => target.removeEventListener(type, listener));
+    }
+
+    /**
+     * Runs the formatter of a field on its input.
+     * @param {FieldName} field
+     */
+    _format(field) {
+        switch (field) {
+            case 'card':
+                return this.formatCardNumber();
+            case 'expiry':
+                return this.formatExpiry();
+            case 'cvv':
+                return this.formatCvv();
+            case 'name':
+                return this.formatName();
+            case 'postalCode':
+                return this.formatPostalCode();
+        }
+    }
+
+    /**
+     * Masks every field whose input does not have focus.
+     */
+    _maskUnfocusedFields() {
+        for (const field of this._getFields()) {
+            const input = this._getInput(field);
+            if (input && input.ownerDocument?.activeElement !== input) this._maskField(field);
+        }
+    }
+
+    /**
+     * Fields in autoAdvance order, limited to the fields this instance handles.
+     * @returns {FieldName[]}
+     */
+    _getFieldOrder() {
+        const fields = this._getFields();
+        return this._fieldOrder ? this._fieldOrder.filter(f => fields.includes(f)) : fields;
+    }
 
-        this._checkAllValid();
+    /**
+     * @param {FieldName} field
+     * @returns {HTMLInputElement|null}
+     */
+    _getInput(field) {
+        switch (field) {
+            case 'card':
+                return this.cardInput;
+            case 'expiry':
+                return this.expiryInput;
+            case 'cvv':
+                return this.cvvInput;
+            case 'name':
+                return this.nameInput;
+            case 'postalCode':
+                return this.postalCodeInput;
+        }
     }
 
-    _updateCvvStatus() {
-        const value = this.cvvInput.value;
-        const digits = value.replace(/\D/g, '');
-        const isAmex = this._isAmex;
-        const expectedLength = isAmex ? 4 : 3;
+    /**
+     * Month and year elements of a split expiry date, or null when expiryInput is used.
+     * @returns {[HTMLInputElement|HTMLSelectElement, HTMLInputElement|HTMLSelectElement]|null}
+     */
+    _getExpiryParts() {
+        const { expiryMonthInput, expiryYearInput } = this;
+        return expiryMonthInput && expiryYearInput ? [expiryMonthInput, expiryYearInput] : null;
+    }
 
-        /** @type {Status} */
-        let status = 'neutral';
+    /**
+     * Every element of a field: the month and year of a split expiry date, otherwise its input.
+     * @param {FieldName} field
+     * @returns {Array<HTMLInputElement|HTMLSelectElement>}
+     */
+    _getInputs(field) {
+        const parts = field === 'expiry' ? this._getExpiryParts() : null;
+        if (parts) return parts;
+        const input = this._getInput(field);
+        return input ? [input] : [];
+    }
 
-        if (digits.length > 0) {
-            status = digits.length === expectedLength ? 'valid' : 'invalid';
+    /**
+     * Value of a field as the engine expects it; a split expiry date is joined in the expiry format.
+     * @param {FieldName} field
+     * @returns {string}
+     */
+    _getInputValue(field) {
+        const parts = field === 'expiry' ? this._getExpiryParts() : null;
+        if (parts) {
+            const [monthInput, yearInput] = parts;
+            // A year input limited to 2 digits cannot be on its way to 4
+            const { maxLength } = /** @type {HTMLInputElement} */ (yearInput);
+            const canGrow = !(maxLength > 0 && maxLength < 4);
+            const partialYear = this._expiryYearPending && isTextInput(yearInput) && canGrow;
+            return this.engine.formatExpiryParts(monthInput.value, yearInput.value, partialYear);
         }
+        const input = this._getInput(field);
+        return input ? input.value : '';
+    }
+
+    /**
+     * @param {string} month - Month digits
+     * @param {string} year - Year digits (2 or 4)
+     */
+    _setExpiryParts(month, year) {
+        const parts = this._getExpiryParts();
+        if (!parts) return;
+        this._expiryYearPending = false;
+        setExpiryPart(parts[0], month && isTextInput(parts[0]) ? month.padStart(2, '0') : month);
+        setExpiryPart(parts[1], year);
+    }
 
-        this._cvvStatus = status;
-        this.emit('cvvStatusChange', {
-            status,
-            value,
-            digits,
-            expectedLength,
-            isAmex,
+    /**
+     * Listens to the month and year elements of a split expiry date. Text inputs are limited
+     * to digits; selects are synced on `change`. Moving between the two is not a blur of the field.
+     * @param {HTMLInputElement|HTMLSelectElement} monthInput
+     * @param {HTMLInputElement|HTMLSelectElement} yearInput
+     */
+    _bindExpiryParts(monthInput, yearInput) {
+        if (isTextInput(monthInput)) {
+            this._cleanups.push(bindMaskedInput(monthInput, { pattern: MASK_DIGIT.repeat(2) }));
+            this._listen(monthInput, 'input', () => {
+                this._syncField('expiry');
+                const atEnd = monthInput.selectionStart === monthInput.value.length;
+                if (this.autoAdvance && monthInput.value.length === 2 && atEnd) yearInput.focus();
+                this.engine.flushChanges();
+            });
+            this._listen(monthInput, 'keydown', event => {
+                const keyEvent = /** @type {KeyboardEvent} */ (event);
+                if (this.autoAdvance) this._handleBackspace('expiry', keyEvent, monthInput);
+            });
+        }
+        if (isTextInput(yearInput)) {
+            this._cleanups.push(bindMaskedInput(yearInput, { pattern: MASK_DIGIT.repeat(4) }));
+            this._listen(yearInput, 'input', () => {
+                // '20' stays incomplete instead of expiring in 2020 while '2030' is typed
+                this._expiryYearPending = true;
+                this._syncField('expiry');
+                if (this.autoAdvance) this._advanceIfComplete('expiry', yearInput);
+                this.engine.flushChanges();
+            });
+            // Registered before the field listeners, so a 2-digit year is converted before the blur
+            const commitYear = () => {
+                this._expiryYearPending = false;
+                this._syncFieldIfChanged('expiry');
+            };
+            this._listen(yearInput, 'blur', commitYear);
+            this._listen(yearInput, 'change', commitYear);
+        }
+
+        for (const [part, other] of [
+            [monthInput, yearInput],
+            [yearInput, monthInput],
+        ]) {
+            // Selects report every choice with change; for text inputs it catches autofill
+            this._listen(part, 'change', () => this._syncFieldIfChanged('expiry'));
+            this._listen(part, 'animationstart', event => {
+                if (/** @type {AnimationEvent} */ (event).animationName === AUTOFILL_ANIMATION_NAME) {
+                    this._syncFieldIfChanged('expiry');
+                }
+            });
+            this._listen(part, 'focus', event => {
+                if (/** @type {FocusEvent} */ (event).relatedTarget !== other) {
+                    this.engine.focusField('expiry');
+                }
+            });
+            this._listen(part, 'blur', event => {
+                if (/** @type {FocusEvent} */ (event).relatedTarget !== other) {
+                    this.engine.blurField('expiry');
+                }
+            });
+            this._listen(part, 'paste', event =>
+                this._handlePaste('expiry', /** @type {ClipboardEvent} */ (event))
+            );
+        }
+    }
+
+    /**
+     * Formats the field input, marks it dirty and passes its value to the engine.
+     * @param {FieldName} field
+     */
+    _syncField(field) {
+        // The input now holds a real value, not the masked one
+        this._maskedFields.delete(field);
+        this.engine.markDirty(field);
+        switch (field) {
+            case 'card':
+                this.formatCardNumber();
+                this.engine.setCardNumber(this.cardInput.value); // also updates CVV
+                break;
+            case 'expiry':
+                this.formatExpiry();
+                this.engine.setExpiry(this._getInputValue('expiry'));
+                break;
+            case 'cvv':
+                this.formatCvv();
+                this.engine.setCvv(this.cvvInput.value);
+                break;
+            case 'name':
+                this.formatName();
+                if (this.nameInput) this.engine.setName(this.nameInput.value);
+                break;
+            case 'postalCode':
+                this.formatPostalCode();
+                if (this.postalCodeInput) this.engine.setPostalCode(this.postalCodeInput.value);
+                break;
+        }
+    }
+
+    /**
+     * Formats a value with the built-in formatter of the field and the engine settings.
+     * @param {FieldName} field
+     * @param {string} value
+     * @param {number} cursor
+     * @returns {import('./format.js').FormatResult}
+     */
+    _formatValue(field, value, cursor) {
+        switch (field) {
+            case 'card':
+                return this.engine.formatCardNumber(value, cursor);
+            case 'expiry':
+                return this.engine.formatExpiry(value, cursor);
+            case 'cvv':
+                return this.engine.formatCvv(value, cursor);
+            case 'name':
+                return this.engine.formatName(value, cursor);
+            case 'postalCode':
+                return this.engine.formatPostalCode(value, cursor);
+        }
+    }
+
+    /**
+     * Syncs the field only if its input value differs from the engine value
+     * (or, while the field is masked, from the masked value).
+     * @param {FieldName} field
+     */
+    _syncFieldIfChanged(field) {
+        const [input] = this._getInputs(field);
+        if (!input) return;
+        if (this._maskedFields.has(field)) {
+            // Autofill into a masked input replaces the masked value with a new one
+            if (input.value === this._getMaskedValue(field)) return;
+            this._syncField(field);
+            if (input.ownerDocument?.activeElement !== input) this._maskField(field);
+            return;
+        }
+        if (this._getInputValue(field) !== this.engine.getValues()[VALUE_KEYS[field]]) {
+            this._syncField(field);
+        }
+    }
+
+    /**
+     * Spreads pasted text that holds more than one of card number, expiry and CVV
+     * across the matching inputs. A single value is left to the browser.
+     * @param {FieldName} field - Field the text was pasted into
+     * @param {ClipboardEvent} event
+     */
+    _handlePaste(field, event) {
+        const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+        const { number, month, year, cvv } = parseCardData(text, {
+            now: this.engine.now,
+            maxYearsAhead: this.engine.maxYearsAhead,
         });
 
-        this._checkAllValid();
+        /** @type {FieldName[]} */
+        const fields = [];
+        if (number) fields.push('card');
+        if (month !== null && year !== null) fields.push('expiry');
+        if (cvv) fields.push('cvv');
+        if (fields.length < 2) return;
+
+        event.preventDefault();
+        // Before the fields are synced, so they are not reported as typed
+        if (this._analytics) this._analytics.paste(field, fields);
+
+        if (number) {
+            this.cardInput.value = number;
+            this._syncField('card');
+        }
+        if (month !== null && year !== null) {
+            if (this.expiryInput) {
+                this.expiryInput.value = this.engine.formatExpiryDate(month, year);
+            } else {
+                this._setExpiryParts(String(month), String(year));
+            }
+            this._syncField('expiry');
+        }
+        if (cvv) {
+            this.cvvInput.value = cvv;
+            this._syncField('cvv');
+        }
+
+        // Fields filled in the background are not focused
+        for (const filled of fields) {
+            if (filled !== field) this._maskField(filled);
+        }
+
+        this.emit('paste', { field, fields });
+    }
+
+    /**
+     * Replaces the input value with its masked form when masking is enabled for the field.
+     * @param {FieldName} field
+     */
+    _maskField(field) {
+        const values = this.engine.getValues();
+        if (field === 'card' && this.maskCardOnBlur && values.number) {
+            this.cardInput.value = this._getMaskedValue(field);
+            this._maskedFields.add(field);
+        } else if (field === 'cvv' && this.maskCvvOnBlur && values.cvv) {
+            this.cvvInput.value = this._getMaskedValue(field);
+            this._maskedFields.add(field);
+        }
+    }
+
+    /**
+     * Masked form of the card number or CVV, as shown while the field is masked.
+     * @param {FieldName} field
+     * @returns {string}
+     */
+    _getMaskedValue(field) {
+        const values = this.engine.getValues();
+        if (field === 'card') return maskCardNumber(values.number, this.maskChar);
+        if (field === 'cvv') return maskCvv(values.cvv, this.maskChar);
+        return '';
+    }
+
+    /**
+     * Restores the real value of a masked input.
+     * @param {FieldName} field
+     */
+    _unmaskField(field) {
+        const input = this._getInput(field);
+        if (!input || !this._maskedFields.has(field)) return;
+        input.value = this.engine.getValues()[VALUE_KEYS[field]];
+        this._maskedFields.delete(field);
+    }
+
+    /**
+     * Whether the field is filled completely: a valid card number at the brand's maxDigits (or its only length),
+     * a valid expiry, or a CVV of the expected length. Name and postal code never complete on their own.
+     * @param {FieldName} field
+     * @returns {boolean}
+     */
+    _isFieldComplete(field) {
+        const state = this.engine.getState();
+        const values = this.engine.getValues();
+        switch (field) {
+            case 'card': {
+                const digits = extractDigits(values.number);
+                const { lengths, maxDigits } = getCardRules(digits);
+                if (state.cardStatus !== 'valid') return false;
+                // A shorter valid number may still be the start of a longer one of the brand
+                return digits.length >= maxDigits || lengths.length === 1;
+            }
+            case 'expiry':
+                return state.expiryStatus === 'valid';
+            case 'cvv':
+                return state.cvvStatus === 'valid';
+            default:
+                return false;
+        }
     }
 
     /**
-     * Checks if all fields are valid and emits allValid event on change.
+     * Moves focus to the next field when the field is complete and the cursor is at its end.
+     * @param {FieldName} field
+     * @param {HTMLInputElement|null} [input] - Input the user typed into (the year of a split expiry date)
      */
-    _checkAllValid() {
-        const allValidNow =
-            this._cardStatus === 'valid' &&
-            this._expiryStatus === 'valid' &&
-            this._cvvStatus === 'valid';
-        if (this._allValid !== allValidNow) {
-            this._allValid = allValidNow;
-            this.emit('allValid', { isAllValid: allValidNow });
+    _advanceIfComplete(field, input = this._getInput(field)) {
+        if (!input || input.selectionStart !== input.value.length) return;
+        if (!this._isFieldComplete(field)) return;
+
+        const order = this._getFieldOrder();
+        const next = order[order.indexOf(field) + 1];
+        if (next) {
+            this._moveFocus(field, next, 'advance');
         }
     }
+
+    /**
+     * Backspace in an empty field moves focus to the end of the previous field
+     * and deletes its last character.
+     * @param {FieldName} field
+     * @param {KeyboardEvent} event
+     * @param {HTMLInputElement|null} [input] - Input the key was pressed in (the month of a split expiry date)
+     */
+    _handleBackspace(field, event, input = this._getInput(field)) {
+        if (event.key !== 'Backspace' || !input || input.value !== '') return;
+
+        const order = this._getFieldOrder();
+        const index = order.indexOf(field);
+        const previous = index > 0 ? order[index - 1] : null;
+        const previousInput = previous ? this._getInputs(previous).pop() : null;
+        // A select keeps its value; it only gets focus
+        if (!previous || !previousInput) return;
+
+        event.preventDefault();
+        // Focus first so a masked value is restored before editing
+        this._moveFocus(field, previous, 'backspace');
+        if (!isTextInput(previousInput)) return;
+        // Drop the last character together with the separator it leaves behind
+        previousInput.value = previousInput.value.slice(0, -1).replace(/[\s/-]+$/, '');
+        previousInput.setSelectionRange(previousInput.value.length, previousInput.value.length);
+        this._syncField(previous);
+    }
+
+    /**
+     * @param {FieldName} from
+     * @param {FieldName} to
+     * @param {'advance' | 'backspace'} reason
+     */
+    _moveFocus(from, to, reason) {
+        const inputs = this._getInputs(to);
+        // Backspace lands on the year of a split expiry date, advancing on its month
+        const input = reason === 'backspace' ? inputs[inputs.length - 1] : inputs[0];
+        if (!input) return;
+
+        input.focus();
+        if (isTextInput(input)) input.setSelectionRange(input.value.length, input.value.length);
+        this.emit('focusChange', { from, to, reason });
+    }
 }
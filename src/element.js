@@ -0,0 +1,283 @@
+// @ts-check
+
+import { CreditCardInput } from './cc-input.js';
+import { ERROR_CODES, getMessage } from './messages.js';
+
+/**
+ * @typedef {import('./engine.js').FieldName} FieldName
+ */
+
+/**
+ * HTMLElement outside the browser (Node, SSR), so importing the library never throws.
+ * @type {typeof HTMLElement}
+ */
+const BaseElement =
+    typeof HTMLElement === 'undefined'
+        ? /** @type {typeof HTMLElement} */ (/** @type {unknown} */ (class {}))
+        : HTMLElement;
+
+/** @type {('card' | 'expiry' | 'cvv')[]} */
+const FIELDS = ['card', 'expiry', 'cvv'];
+
+const template = `
+<style>
+    :host { display: block; }
+    :host([hidden]) { display: none; }
+    .row { display: flex; gap: 0.5em; }
+    .row > label { flex: 1; }
+    label { display: block; margin-bottom: 0.5em; }
+    input { display: block; box-sizing: border-box; width: 100%; font: inherit; }
+    input[aria-invalid='true'] { border-color: #dc3545; }
+    :host(:dir(rtl)) input { text-align: right; }
+</style>
+<label part="label">
+    <slot name="card-label">Card number</slot>
+    <input part="input card-input" data-field="card" placeholder="1234 1234 1234 1234" />
+</label>
+<div class="row" part="row">
+    <label part="label">
+        <slot name="expiry-label">Expiry date</slot>
+        <input part="input expiry-input" data-field="expiry" />
+    </label>
+    <label part="label">
+        <slot name="cvv-label">CVV</slot>
+        <input part="input cvv-input" data-field="cvv" placeholder="123" />
+    </label>
+</div>
+`;
+
+/**
+ * `<credit-card-input>`: renders card, expiry and CVV inputs in its shadow DOM and takes part
+ * in the surrounding form through ElementInternals. The submitted value is the normalized
+ * card data of CreditCardInput.toFormData() (number, month, year, cvv, brand).
+ *
+ * Attributes: `accepted-brands` (comma-separated card types, e.g. "Visa, Mastercard"; see acceptedBrands
+ * of CreditCardInput),
+ * `expiry-format` ('MM / YY', 'MM/YYYY', ...; read when the element is connected), `disabled`,
+ * `required` (without it, an empty element is valid and missing fields of a partly filled
+ * one are reported as custom errors instead of valueMissing).
+ *
+ * DOM events (bubbling, composed): `card-status`, `expiry-status`, `cvv-status` and `all-valid`,
+ * with the matching CreditCardInput event in `detail`.
+ */
+export class CreditCardInputElement extends BaseElement {
+    static formAssociated = true;
+
+    static get observedAttributes() {
+        return ['accepted-brands', 'required'];
+    }
+
+    constructor() {
+        super();
+        this._internals = this.attachInternals();
+        const shadow = this.attachShadow({ mode: 'open', delegatesFocus: true });
+        shadow.innerHTML = template;
+
+        /** @type {Record<'card' | 'expiry' | 'cvv', HTMLInputElement>} */
+        this._inputs = {
+            card: /** @type {HTMLInputElement} */ (shadow.querySelector('[data-field="card"]')),
+            expiry: /** @type {HTMLInputElement} */ (shadow.querySelector('[data-field="expiry"]')),
+            cvv: /** @type {HTMLInputElement} */ (shadow.querySelector('[data-field="cvv"]')),
+        };
+        /** @type {CreditCardInput|null} */ this._creditCard = null;
+        /**
+         * Latest status event of each field, used as message params
+         * @type {Partial<Record<FieldName, Object<string, any>>>}
+         */
+        this._statusEvents = {};
+    }
+
+    connectedCallback() {
+        if (this._creditCard) return;
+
+        const expiryFormat = this.getAttribute('expiry-format') || undefined;
+        this._inputs.expiry.placeholder = expiryFormat || 'MM / YY';
+
+        const creditCard = new CreditCardInput({
+            cardInput: this._inputs.card,
+            expiryInput: this._inputs.expiry,
+            cvvInput: this._inputs.cvv,
+            expiryFormat,
+            acceptedBrands: this.acceptedBrands,
+            accessibility: true,
+        });
+        this._creditCard = creditCard;
+
+        creditCard.onCardStatus(event => this._handleStatus('card', 'card-status', event));
+        creditCard.onExpiryStatus(event => this._handleStatus('expiry', 'expiry-status', event));
+        creditCard.onCvvStatus(event => this._handleStatus('cvv', 'cvv-status', event));
+        creditCard.onAllValid(event => this._dispatch('all-valid', event));
+
+        creditCard.init();
+        this.formDisabledCallback(this.hasAttribute('disabled'));
+    }
+
+    disconnectedCallback() {
+        // Input values live in the shadow DOM and are picked up again on the next connect
+        if (this._creditCard) this._creditCard.destroy();
+        this._creditCard = null;
+        this._statusEvents = {};
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|null} oldValue
+     * @param {string|null} newValue
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'accepted-brands' && this._creditCard && oldValue !== newValue) {
+            // Re-validates the card number, which updates the form state
+            this._creditCard.setAcceptedBrands(this.acceptedBrands);
+        } else if (name === 'required' && oldValue !== newValue) {
+            this._updateFormState();
+        }
+    }
+
+    // ---------- Form-associated callbacks ----------
+
+    formResetCallback() {
+        // reset() also drops the touched, dirty and submitted state of a failed submit
+        if (this._creditCard) {
+            this._creditCard.reset();
+            return;
+        }
+        for (const input of Object.values(this._inputs)) {
+            input.value = '';
+        }
+    }
+
+    /**
+     * @param {boolean} disabled
+     */
+    formDisabledCallback(disabled) {
+        for (const input of Object.values(this._inputs)) {
+            input.disabled = disabled;
+        }
+    }
+
+    // ---------- Public API ----------
+
+    /**
+     * The wrapped CreditCardInput (null until the element is connected).
+     * @returns {CreditCardInput|null}
+     */
+    get creditCard() {
+        return this._creditCard;
+    }
+
+    /**
+     * Card types allowed by the accepted-brands attribute (empty if all are accepted).
+     * @returns {string[]}
+     */
+    get acceptedBrands() {
+        return (this.getAttribute('accepted-brands') || '')
+            .split(',')
+            .map(brand => brand.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * @param {string[]} brands
+     */
+    set acceptedBrands(brands) {
+        this.setAttribute('accepted-brands', brands.join(', '));
+    }
+
+    /**
+     * Whether all fields are valid and the card type is accepted.
+     * @returns {boolean}
+     */
+    get isAllValid() {
+        return !!this._creditCard && this._creditCard.getState().allValid;
+    }
+
+    /**
+     * Normalized card data (see CreditCardInput.toJSON()), or null until the element is connected.
+     */
+    get value() {
+        return this._creditCard ? this._creditCard.toJSON() : null;
+    }
+
+    get form() {
+        return this._internals.form;
+    }
+
+    get validity() {
+        return this._internals.validity;
+    }
+
+    get validationMessage() {
+        return this._internals.validationMessage;
+    }
+
+    get willValidate() {
+        return this._internals.willValidate;
+    }
+
+    checkValidity() {
+        return this._internals.checkValidity();
+    }
+
+    reportValidity() {
+        return this._internals.reportValidity();
+    }
+
+    // ---------- Private methods ----------
+
+    /**
+     * @param {'card' | 'expiry' | 'cvv'} field
+     * @param {string} type - DOM event type
+     * @param {Object<string, any>} event - Status event
+     */
+    _handleStatus(field, type, event) {
+        this._statusEvents[field] = event;
+        this._dispatch(type, event);
+        this._updateFormState();
+    }
+
+    /**
+     * Submits the normalized card data and reports the first error to the form.
+     * An empty element is only invalid when it has the required attribute.
+     */
+    _updateFormState() {
+        if (!this._creditCard) return;
+        const errors = this._creditCard.getErrors();
+        const required = this.hasAttribute('required');
+
+        this._internals.setFormValue(this._creditCard.toFormData());
+
+        const isEmpty = FIELDS.every(name => errors[name][0] === ERROR_CODES.REQUIRED);
+        const field = FIELDS.find(name => errors[name].length > 0);
+        if (field && (required || !isEmpty)) {
+            const code = errors[field][0];
+            const flags =
+                code === ERROR_CODES.REQUIRED && required
+                    ? { valueMissing: true }
+                    : { customError: true };
+            const message = getMessage(code, this._statusEvents[field]);
+            this._internals.setValidity(flags, message, this._inputs[field]);
+        } else {
+            this._internals.setValidity({});
+        }
+    }
+
+    /**
+     * @param {string} type
+     * @param {any} detail
+     */
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+}
+
+/**
+ * Registers `<credit-card-input>` (or another tag name) if custom elements are available.
+ * @param {string} [tagName='credit-card-input']
+ * @returns {typeof CreditCardInputElement}
+ */
+export function defineCreditCardInputElement(tagName = 'credit-card-input') {
+    if (typeof customElements !== 'undefined' && !customElements.get(tagName)) {
+        customElements.define(tagName, CreditCardInputElement);
+    }
+    return CreditCardInputElement;
+}
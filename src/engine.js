@@ -0,0 +1,1680 @@
+// @ts-check
+
+import { EventEmitter } from '@supercat1337/event-emitter';
+import {
+    formatCardNumberValue as defaultFormatCardNumber,
+    formatExpiryValue as defaultFormatExpiry,
+    formatCvvValue as defaultFormatCvv,
+    formatNameValue as defaultFormatName,
+    formatPostalCodeValue as defaultFormatPostalCode,
+    formatExpiryDate,
+    resolveExpiryFormat,
+} from './format.js';
+import {
+    expandYear,
+    extractDigits,
+    getCardType as defaultGetCardType,
+    luhnValidate,
+    validateCardholderName,
+} from './helpers.js';
+import { getCardRules } from './brands.js';
+import {
+    compactPostalCode,
+    getPostalCodeFormat,
+    resolvePostalCodeCountry,
+    validatePostalCode,
+} from './postal.js';
+import { ERROR_CODES } from './messages.js';
+import { TokenizeError } from './tokenize.js';
+import { isTestCardNumber } from './test-cards.js';
+
+/**
+ * @typedef {import('./format.js').FormatResult} FormatResult
+ * @typedef {import('./format.js').ExpiryFormat} ExpiryFormat
+ * @typedef {import('./format.js').ExpiryFormatOptions} ExpiryFormatOptions
+ * @typedef {import('./messages.js').ErrorCode} ErrorCode
+ * @typedef {import('./tokenize.js').Tokenizer} Tokenizer
+ * @typedef {import('./tokenize.js').TokenizeResult} TokenizeResult
+ * @typedef {import('./bin.js').BinInfo} BinInfo
+ * @typedef {import('./bin.js').BinLookup} BinLookup
+ */
+
+/**
+ * 'production' rejects known test cards, 'sandbox' rejects every other card.
+ * @typedef {'sandbox' | 'production'} Mode
+ */
+
+/**
+ * 'neutral' for an empty field, 'incomplete' while the value can still become valid.
+ * @typedef {'neutral' | 'incomplete' | 'valid' | 'invalid'} Status
+ */
+
+/**
+ * When 'invalid' is surfaced: on input, after the field was blurred once, or after submit.
+ * Until then an invalid value is reported as 'incomplete'.
+ * @typedef {'input' | 'blur' | 'submit'} ValidateOn
+ */
+
+/**
+ * @typedef {Object} FieldState
+ * @property {boolean} touched - The field has lost focus at least once
+ * @property {boolean} dirty - The user has changed the value
+ * @property {boolean} focused - The field has focus
+ */
+
+/**
+ * @typedef {'card' | 'expiry' | 'cvv' | 'name' | 'postalCode'} FieldName
+ */
+
+/**
+ * @typedef {Object} CardStatusEvent
+ * @property {Status} status - Current status of the card field
+ * @property {ErrorCode[]} errors - Why the field is not valid (empty when valid)
+ * @property {string} value - Raw field value (with spaces)
+ * @property {string} digits - Only digits of the card number
+ * @property {string} type - Detected card type (Visa, Mastercard, ...)
+ * @property {boolean} isAmex - Whether the card is American Express
+ * @property {boolean} isBrandAccepted - false once the brand is identified and missing from acceptedBrands
+ * @property {boolean} isTestCard - The number is a known test card (see registerTestCards)
+ * @property {boolean} isValid - Luhn validation result (true/false if enough digits)
+ * @property {number} maxDigits - Maximum length for this card type (15 for Amex, 19 for Visa, ...)
+ * @property {number[]} lengths - Allowed lengths for this card type
+ */
+
+/**
+ * @typedef {Object} ExpiryStatusEvent
+ * @property {Status} status - Expiry field status
+ * @property {ErrorCode[]} errors - Why the field is not valid (empty when valid)
+ * @property {string} value - Raw value (MM / YY or the configured expiry format)
+ * @property {string} digits - Only digits
+ * @property {number|null} month - Month (number) or null if insufficient digits
+ * @property {number|null} year - Year (full, 20xx) or null
+ */
+
+/**
+ * @typedef {Object} CvvStatusEvent
+ * @property {Status} status - CVV field status
+ * @property {ErrorCode[]} errors - Why the field is not valid (empty when valid)
+ * @property {string} value - Raw value
+ * @property {string} digits - Only digits
+ * @property {number} expectedLength - Expected length for the detected card brand
+ * @property {string} cvvName - Name of the security code for the detected card brand (CVV, CVC, CID, ...)
+ * @property {boolean} isAmex - Amex flag (determined from card number)
+ */
+
+/**
+ * @typedef {Object} NameStatusEvent
+ * @property {Status} status - Cardholder name field status
+ * @property {ErrorCode[]} errors - Why the field is not valid (empty when valid)
+ * @property {string} value - Raw value
+ * @property {string} name - Trimmed name
+ */
+
+/**
+ * @typedef {Object} PostalCodeStatusEvent
+ * @property {Status} status - Postal code field status
+ * @property {ErrorCode[]} errors - Why the field is not valid (empty when valid)
+ * @property {string} value - Raw value
+ * @property {string} postalCode - Upper-cased value without separators
+ * @property {string} country - Country whose format was used (US, CA, UK, GENERIC, ...)
+ */
+
+/**
+ * @typedef {Object} FieldFocusEvent
+ * @property {FieldName} field - Field that gained or lost focus
+ * @property {Status} status - Current status of the field
+ * @property {boolean} touched - The field has lost focus at least once
+ * @property {boolean} dirty - The user has changed the value
+ * @property {boolean} focused - The field has focus
+ */
+
+/**
+ * @typedef {Object} AllValidEvent
+ * @property {boolean} isAllValid - true if all fields are valid
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} isAllValid - true if all required fields are valid
+ * @property {FieldName[]} invalidFields - Required fields with errors, in form order
+ * @property {Record<FieldName, ErrorCode[]>} errors - Error codes of every field
+ * @property {EngineState} state - State after validation
+ */
+
+/**
+ * @typedef {Object} TokenizeStartEvent
+ * @property {string} brand - Card type
+ * @property {string} last4 - Last four digits of the card number
+ */
+
+/**
+ * @typedef {Object} TokenizeErrorEvent
+ * @property {any} error - Error thrown by the tokenizer
+ */
+
+/**
+ * @typedef {Object} BinInfoEvent
+ * @property {string|null} bin - BIN that was looked up, or null once fewer than 6 digits are left
+ * @property {BinInfo|null} info - Issuer details, or null if the BIN is unknown or the lookup failed
+ * @property {any} [error] - Error thrown by the lookup provider
+ */
+
+/**
+ * @typedef {Object} FieldValues
+ * @property {string} [number] - Card number
+ * @property {string} [expiry] - Expiry date
+ * @property {string} [cvv] - CVV
+ * @property {string} [name] - Cardholder name
+ * @property {string} [postalCode] - Billing postal code
+ */
+
+/**
+ * Field values that may be shared with the rest of the app: the card number and the CVV
+ * stay behind getCardDigits() and toJSON().
+ * @typedef {Object} PublicValues
+ * @property {string} last4 - Last four digits of the card number
+ * @property {string} expiry - Expiry date (as formatted)
+ * @property {string} name - Cardholder name
+ * @property {string} postalCode - Billing postal code
+ */
+
+/**
+ * Normalized card data for submission.
+ * @typedef {Object} CardData
+ * @property {string} number - Card number digits only
+ * @property {number|null} month - Expiry month (1-12) or null until the expiry date is complete
+ * @property {number|null} year - Four-digit expiry year or null
+ * @property {string} cvv - CVV digits
+ * @property {string} brand - Detected card type (Visa, Mastercard, ...)
+ * @property {string} [name] - Trimmed cardholder name (only when the name is required)
+ * @property {string} [postalCode] - Postal code without separators (only when the postal code is required)
+ */
+
+/**
+ * @template T
+ * @typedef {Object} InputResult
+ * @property {string} value - Formatted value to display
+ * @property {number} cursor - Cursor position in the formatted value
+ * @property {T} event - Status event payload for the field
+ */
+
+/**
+ * @typedef {Object} EngineState
+ * @property {Status} cardStatus
+ * @property {Status} expiryStatus
+ * @property {Status} cvvStatus
+ * @property {Status} nameStatus - 'neutral' until a cardholder name is set
+ * @property {Status} postalCodeStatus - 'neutral' until a postal code is set
+ * @property {string} cardType
+ * @property {boolean} isAmex
+ * @property {BinInfo|null} binInfo - Issuer details of the card number (see binLookup)
+ * @property {number} cvvLength - Expected security code length for the detected brand
+ * @property {string} cvvName - Name of the security code for the detected brand (CVV, CVC, CID, ...)
+ * @property {boolean} allValid
+ * @property {boolean} submitted - markSubmitted() was called since the last reset
+ * @property {PublicValues} values - Field values without the card number and CVV
+ * @property {Record<FieldName, ErrorCode[]>} errors - Error codes of every field
+ * @property {Record<FieldName, FieldState>} fields - Focus and edit state of every field
+ */
+
+/**
+ * @typedef {Object} StateChangeEvent
+ * @property {EngineState} state - Full state after the change
+ * @property {Partial<EngineState>} changes - Keys of the state that changed, with their new values
+ * @property {EngineState} previous - State published by the previous change event
+ */
+
+/**
+ * Digits after which the brand of a number is settled: registered prefixes are at most
+ * 6 digits long, and shorter ones may still be overridden (4 is Visa, 401178 is Elo).
+ */
+const BRAND_DETECTION_DIGITS = 6;
+
+/**
+ * Length of most card numbers. A number of this length that fails Luhn is reported as invalid
+ * even when its brand allows longer numbers, as it is far more likely a typo than a prefix.
+ */
+const STANDARD_CARD_LENGTH = 16;
+
+/**
+ * Whether two JSON-like values (primitives, arrays and plain objects) are deeply equal.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Focus and edit state of every field before any interaction.
+ * @returns {Record<FieldName, FieldState>}
+ */
+function createFieldStates() {
+    return {
+        card: { touched: false, dirty: false, focused: false },
+        expiry: { touched: false, dirty: false, focused: false },
+        cvv: { touched: false, dirty: false, focused: false },
+        name: { touched: false, dirty: false, focused: false },
+        postalCode: { touched: false, dirty: false, focused: false },
+    };
+}
+
+/**
+ * DOM-free card form state: takes raw strings, returns formatted values with cursor
+ * positions and emits the same status events as CreditCardInput.
+ * Runs in browsers, Node and SSR alike.
+ */
+export class CreditCardEngine {
+    /**
+     * @param {Object} [options]
+     * @param {function(string, number=): FormatResult} [options.formatCardNumber] - Custom card number formatter
+     * @param {function(string, number=, ExpiryFormatOptions=): FormatResult} [options.formatExpiry] - Custom expiry formatter (value, cursor, format options)
+     * @param {function(string, number=): FormatResult} [options.formatCvv] - Custom CVV formatter
+     * @param {function(string, number=): FormatResult} [options.formatName] - Custom cardholder name formatter
+     * @param {function(string, number=, string=): FormatResult} [options.formatPostalCode] - Custom postal code formatter (value, cursor, country)
+     * @param {function(string): string} [options.getCardType] - Custom card type detector
+     * @param {string[]|null} [options.acceptedBrands] - Card types that may be used; other and unknown brands
+     *   are invalid (UNSUPPORTED_BRAND). Every brand is accepted when empty or unset
+     * @param {Mode|null} [options.mode] - 'production' rejects test cards (TEST_CARD), 'sandbox' rejects
+     *   other cards (NOT_TEST_CARD); no check when unset
+     * @param {boolean} [options.requireName=false] - Whether the cardholder name counts toward allValid
+     * @param {boolean} [options.requirePostalCode=false] - Whether the postal code counts toward allValid
+     * @param {string} [options.postalCodeCountry] - ISO country code for postal code rules (US, CA, UK, ...)
+     * @param {string} [options.expiryFormat='MM / YY'] - Expiry layout: 'MM / YY', 'MM/YY', 'MM/YYYY', 'MM-YY', ...
+     * @param {string} [options.expirySeparator] - Separator between month and year; overrides the one in expiryFormat
+     * @param {number} [options.maxYearsAhead=10] - How many years ahead an expiry date may be
+     * @param {function(): Date} [options.now] - Clock used for expiry validation
+     * @param {ValidateOn} [options.validateOn='input'] - When 'invalid' is surfaced
+     * @param {Tokenizer} [options.tokenizer] - Adapter that turns card data into a token (see tokenize())
+     * @param {boolean} [options.clearAfterTokenize=false] - Clear the card number and CVV after successful tokenization
+     * @param {BinLookup} [options.binLookup] - Async provider of issuer details, called once 6 digits are typed (and again at 8)
+     * @param {number} [options.binLookupDelay=300] - Debounce delay of BIN lookups in milliseconds
+     * @param {boolean} [options.suppressUnchangedEvents=false] - Skip field status events whose payload
+     *   equals the previous one of the same field
+     * @param {EventEmitter} [options.eventEmitter] - Emitter to publish events on (a new one by default)
+     * @param {any} [options.context] - Value passed as the last argument of every event (the engine by default)
+     */
+    constructor({
+        formatCardNumber = defaultFormatCardNumber,
+        formatExpiry = defaultFormatExpiry,
+        formatCvv = defaultFormatCvv,
+        formatName = defaultFormatName,
+        formatPostalCode = defaultFormatPostalCode,
+        getCardType = defaultGetCardType,
+        acceptedBrands = null,
+        mode = null,
+        requireName = false,
+        requirePostalCode = false,
+        postalCodeCountry = 'GENERIC',
+        expiryFormat = 'MM / YY',
+        expirySeparator,
+        maxYearsAhead = 10,
+        now = () => new Date(),
+        validateOn = 'input',
+        tokenizer,
+        clearAfterTokenize = false,
+        binLookup,
+        binLookupDelay = 300,
+        suppressUnchangedEvents = false,
+        eventEmitter = new EventEmitter(),
+        context,
+    } = {}) {
+        this._formatCardNumber = formatCardNumber;
+        this._formatExpiry = formatExpiry;
+        this._formatCvv = formatCvv;
+        this._formatName = formatName;
+        this._formatPostalCode = formatPostalCode;
+        this._getCardType = getCardType;
+        /** @type {string[]|null} */ this._acceptedBrands = null;
+        this._setAcceptedBrands(acceptedBrands);
+        /** @type {Mode|null} */ this._mode = mode;
+
+        this.requireName = requireName;
+        this.requirePostalCode = requirePostalCode;
+        this._postalCodeCountry = resolvePostalCodeCountry(postalCodeCountry);
+
+        /** @type {ExpiryFormatOptions} */
+        this._expiryFormatOptions = { format: expiryFormat, separator: expirySeparator };
+        this._expiryFormat = resolveExpiryFormat(this._expiryFormatOptions);
+        this.maxYearsAhead = maxYearsAhead;
+        this.now = now;
+        /** @type {ValidateOn} */ this.validateOn = validateOn;
+        /** @type {Tokenizer|null} */ this._tokenizer = tokenizer || null;
+        this.clearAfterTokenize = clearAfterTokenize;
+        /** @type {BinLookup|null} */ this._binLookup = binLookup || null;
+        this.binLookupDelay = binLookupDelay;
+        this.suppressUnchangedEvents = suppressUnchangedEvents;
+
+        this.eventEmitter = eventEmitter;
+        this.context = context === undefined ? this : context;
+
+        // Field values
+        /** @type {string} */ this._cardValue = '';
+        /** @type {string} */ this._expiryValue = '';
+        /** @type {string} */ this._cvvValue = '';
+        /** @type {string} */ this._nameValue = '';
+        /** @type {string} */ this._postalCodeValue = '';
+        /** @type {number|null} */ this._expiryMonth = null;
+        /** @type {number|null} */ this._expiryYear = null;
+
+        // Internal states
+        /** @type {Status} */ this._cardStatus = 'neutral';
+        /** @type {Status} */ this._expiryStatus = 'neutral';
+        /** @type {Status} */ this._cvvStatus = 'neutral';
+        /** @type {Status} */ this._nameStatus = 'neutral';
+        /** @type {Status} */ this._postalCodeStatus = 'neutral';
+        /** @type {string} */ this._cardType = '';
+        /** @type {boolean} */ this._isAmex = false;
+        /** @type {number} */ this._cvvLength = 3;
+        /** @type {string} */ this._cvvName = 'CVV';
+        /** @type {boolean} */ this._allValid = false;
+        /** @type {Record<FieldName, ErrorCode[]>} */
+        this._errors = { card: [], expiry: [], cvv: [], name: [], postalCode: [] };
+
+        // Focus and edit state
+        /** @type {boolean} */ this._submitted = false;
+        this._fieldStates = createFieldStates();
+
+        // BIN lookup
+        /** @type {string|null} */ this._bin = null;
+        /** @type {BinInfo|null} */ this._binInfo = null;
+        /** @type {Map<string, BinInfo|null>} */ this._binCache = new Map();
+        /** @type {ReturnType<typeof setTimeout>|null} */ this._binTimer = null;
+        /** @type {AbortController|null} */ this._binAbort = null;
+
+        // Change events
+        /**
+         * Last payload of each status event, for suppressUnchangedEvents
+         * @type {Map<string, any>}
+         */
+        this._statusEvents = new Map();
+        this._changeScheduled = false;
+        /** @type {EngineState} */ this._publishedState = this.getState();
+    }
+
+    // ---------- Formatting ----------
+
+    /**
+     * Format a card number without changing the state.
+     * @param {string} value - Raw value
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {FormatResult}
+     */
+    formatCardNumber(value, cursor = value.length) {
+        return this._formatCardNumber(value, cursor);
+    }
+
+    /**
+     * Format an expiry date without changing the state.
+     * @param {string} value - Raw value
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {FormatResult}
+     */
+    formatExpiry(value, cursor = value.length) {
+        return this._formatExpiry(value, cursor, this._expiryFormatOptions);
+    }
+
+    /**
+     * Format an expiry month and year with the configured expiry format.
+     * @param {number} month - Month (1-12)
+     * @param {number} year - Year (full, 20xx)
+     * @returns {string}
+     */
+    formatExpiryDate(month, year) {
+        return formatExpiryDate(month, year, this._expiryFormatOptions);
+    }
+
+    /**
+     * Join an expiry month and year entered separately (e.g. in two selects) in the configured
+     * expiry format. 2- and 4-digit years are converted; a missing or partial part leaves
+     * the date incomplete.
+     * @param {string} month - Month, 1 or 2 digits
+     * @param {string} year - Year, 2 or 4 digits
+     * @param {boolean} [partialYear=false] - The year is still being typed and may grow to 4 digits,
+     *   so a shorter year is not converted and leaves the date incomplete ('20' may become '2030')
+     * @returns {string}
+     * @example
+     * engine.formatExpiryParts('7', '2030') // returns "07 / 30"
+     * engine.formatExpiryParts('7', '20', true) // returns "07 / 2"
+     */
+    formatExpiryParts(month, year, partialYear = false) {
+        const { separator, yearDigits } = this._expiryFormat;
+        let monthText = extractDigits(month);
+        let yearText = extractDigits(year);
+
+        // A single 0 may still become 01-09
+        if (/^[1-9]$/.test(monthText)) monthText = '0' + monthText;
+        if (partialYear && yearText.length < 4) {
+            yearText = yearText.slice(0, yearDigits - 1);
+        } else if (yearText.length === 4 && yearDigits === 2) {
+            yearText = yearText.slice(2);
+        } else if (yearText.length === 2 && yearDigits === 4) {
+            yearText = String(expandYear(parseInt(yearText, 10), this.now().getFullYear()));
+        }
+
+        return yearText ? monthText + separator + yearText : monthText;
+    }
+
+    /**
+     * Get the expiry format options and their resolved separator and year digits.
+     * @returns {ExpiryFormatOptions & ExpiryFormat}
+     */
+    getExpiryFormat() {
+        return { ...this._expiryFormatOptions, ...this._expiryFormat };
+    }
+
+    /**
+     * Format a CVV without changing the state.
+     * @param {string} value - Raw value
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {FormatResult}
+     */
+    formatCvv(value, cursor = value.length) {
+        return this._formatCvv(value, cursor);
+    }
+
+    /**
+     * Format a cardholder name without changing the state.
+     * @param {string} value - Raw value
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {FormatResult}
+     */
+    formatName(value, cursor = value.length) {
+        return this._formatName(value, cursor);
+    }
+
+    /**
+     * Format a postal code for the current country without changing the state.
+     * @param {string} value - Raw value
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {FormatResult}
+     */
+    formatPostalCode(value, cursor = value.length) {
+        return this._formatPostalCode(value, cursor, this._postalCodeCountry);
+    }
+
+    /**
+     * Get the card type based on the given digits.
+     * @param {string} digits - Digits of the card number
+     * @returns {string} - Card type (Visa, Mastercard, etc.)
+     */
+    getCardType(digits) {
+        return this._getCardType(digits);
+    }
+
+    // ---------- Input ----------
+
+    /**
+     * Handle typed card number: format it and update the card and CVV statuses.
+     * @param {string} value - Raw value as typed
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {InputResult<CardStatusEvent>}
+     */
+    inputCardNumber(value, cursor = value.length) {
+        this.markDirty('card');
+        const formatted = this.formatCardNumber(value, cursor);
+        const event = this.setCardNumber(formatted.value);
+        return { ...formatted, event };
+    }
+
+    /**
+     * Handle typed expiry date: format it and update the expiry status.
+     * @param {string} value - Raw value as typed
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {InputResult<ExpiryStatusEvent>}
+     */
+    inputExpiry(value, cursor = value.length) {
+        this.markDirty('expiry');
+        const formatted = this.formatExpiry(value, cursor);
+        const event = this.setExpiry(formatted.value);
+        return { ...formatted, event };
+    }
+
+    /**
+     * Handle typed CVV: format it and update the CVV status.
+     * @param {string} value - Raw value as typed
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {InputResult<CvvStatusEvent>}
+     */
+    inputCvv(value, cursor = value.length) {
+        this.markDirty('cvv');
+        const formatted = this.formatCvv(value, cursor);
+        const event = this.setCvv(formatted.value);
+        return { ...formatted, event };
+    }
+
+    /**
+     * Handle typed cardholder name: format it and update the name status.
+     * @param {string} value - Raw value as typed
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {InputResult<NameStatusEvent>}
+     */
+    inputName(value, cursor = value.length) {
+        this.markDirty('name');
+        const formatted = this.formatName(value, cursor);
+        const event = this.setName(formatted.value);
+        return { ...formatted, event };
+    }
+
+    /**
+     * Handle typed postal code: format it and update the postal code status.
+     * @param {string} value - Raw value as typed
+     * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+     * @returns {InputResult<PostalCodeStatusEvent>}
+     */
+    inputPostalCode(value, cursor = value.length) {
+        this.markDirty('postalCode');
+        const formatted = this.formatPostalCode(value, cursor);
+        const event = this.setPostalCode(formatted.value);
+        return { ...formatted, event };
+    }
+
+    /**
+     * Set the card number as is (no formatting) and update the card and CVV statuses.
+     * @param {string} value - Card number value
+     * @returns {CardStatusEvent}
+     */
+    setCardNumber(value) {
+        this._cardValue = value;
+        const event = this._updateCardStatus();
+        this._updateCvvStatus(); // CVV depends on card type
+        return event;
+    }
+
+    /**
+     * Set the expiry date as is (no formatting) and update its status.
+     * @param {string} value - Expiry date value
+     * @returns {ExpiryStatusEvent}
+     */
+    setExpiry(value) {
+        this._expiryValue = value;
+        return this._updateExpiryStatus();
+    }
+
+    /**
+     * Set the CVV as is (no formatting) and update its status.
+     * @param {string} value - CVV value
+     * @returns {CvvStatusEvent}
+     */
+    setCvv(value) {
+        this._cvvValue = value;
+        return this._updateCvvStatus();
+    }
+
+    /**
+     * Set the cardholder name as is (no formatting) and update its status.
+     * @param {string} value - Cardholder name
+     * @returns {NameStatusEvent}
+     */
+    setName(value) {
+        this._nameValue = value;
+        return this._updateNameStatus();
+    }
+
+    /**
+     * Set the postal code as is (no formatting) and update its status.
+     * @param {string} value - Postal code
+     * @returns {PostalCodeStatusEvent}
+     */
+    setPostalCode(value) {
+        this._postalCodeValue = value;
+        return this._updatePostalCodeStatus();
+    }
+
+    /**
+     * Change the country used for postal code rules and re-validate the postal code.
+     * @param {string} country - ISO country code (US, CA, UK, ...); unknown countries use the generic format
+     * @returns {PostalCodeStatusEvent}
+     */
+    setPostalCodeCountry(country) {
+        this._postalCodeCountry = resolvePostalCodeCountry(country);
+        return this._updatePostalCodeStatus();
+    }
+
+    /**
+     * Get the country used for postal code rules.
+     * @returns {string}
+     */
+    getPostalCodeCountry() {
+        return this._postalCodeCountry;
+    }
+
+    /**
+     * Change the card types that may be used (e.g. when the currency changes) and re-validate the card number.
+     * @param {string[]|null} brands - Card types (Visa, Mastercard, ...); empty or null accepts every brand
+     * @returns {CardStatusEvent}
+     */
+    setAcceptedBrands(brands) {
+        this._setAcceptedBrands(brands);
+        return this._updateCardStatus();
+    }
+
+    /**
+     * Get the card types that may be used, or null if every brand is accepted.
+     * @returns {string[]|null}
+     */
+    getAcceptedBrands() {
+        return this._acceptedBrands ? this._acceptedBrands.slice() : null;
+    }
+
+    /**
+     * Switch between sandbox and production mode and re-validate the card number.
+     * @param {Mode|null} mode - null turns the test card check off
+     * @returns {CardStatusEvent}
+     */
+    setMode(mode) {
+        this._mode = mode;
+        return this._updateCardStatus();
+    }
+
+    /**
+     * Get the sandbox/production mode, or null if test cards are not checked.
+     * @returns {Mode|null}
+     */
+    getMode() {
+        return this._mode;
+    }
+
+    /**
+     * Check a card type against acceptedBrands. Unknown brands are only accepted without a policy.
+     * @param {string} [type] - Card type (the detected one by default)
+     * @returns {boolean}
+     */
+    isBrandAccepted(type = this._cardType) {
+        const accepted = this._acceptedBrands;
+        return !accepted || accepted.includes(type);
+    }
+
+    /**
+     * Set all field values as is (no formatting) and update every status once.
+     * Useful to re-validate submitted values on the server.
+     * @param {FieldValues} values
+     * @returns {EngineState}
+     */
+    setValues({
+        number = this._cardValue,
+        expiry = this._expiryValue,
+        cvv = this._cvvValue,
+        name = this._nameValue,
+        postalCode = this._postalCodeValue,
+    }) {
+        this._cardValue = number;
+        this._expiryValue = expiry;
+        this._cvvValue = cvv;
+        this._nameValue = name;
+        this._postalCodeValue = postalCode;
+
+        this._updateAllStatuses();
+
+        return this.getState();
+    }
+
+    /**
+     * Get current field values.
+     * @returns {Required<FieldValues>}
+     */
+    getValues() {
+        return {
+            number: this._cardValue,
+            expiry: this._expiryValue,
+            cvv: this._cvvValue,
+            name: this._nameValue,
+            postalCode: this._postalCodeValue,
+        };
+    }
+
+    /**
+     * Get normalized values for submission instead of the formatted strings.
+     * @returns {CardData}
+     * @example
+     * engine.setValues({ number: '4111 1111 1111 1111', expiry: '12 / 30', cvv: '123' });
+     * engine.toJSON();
+     * // { number: '4111111111111111', month: 12, year: 2030, cvv: '123', brand: 'Visa' }
+     */
+    toJSON() {
+        const number = this.getCardDigits();
+        const expiry = this.getExpiry();
+        /** @type {CardData} */
+        const data = {
+            number,
+            month: expiry ? expiry.month : null,
+            year: expiry ? expiry.year : null,
+            cvv: extractDigits(this._cvvValue),
+            brand: this.getCardType(number),
+        };
+        if (this.requireName) data.name = this._nameValue.trim();
+        if (this.requirePostalCode) {
+            data.postalCode = compactPostalCode(this._postalCodeValue, this._postalCodeCountry);
+        }
+        return data;
+    }
+
+    /**
+     * Get the digits of the card number.
+     * @returns {string}
+     */
+    getCardDigits() {
+        return extractDigits(this._cardValue);
+    }
+
+    /**
+     * Get the last four digits of the card number.
+     * @returns {string}
+     */
+    getLast4() {
+        return this.getCardDigits().slice(-4);
+    }
+
+    /**
+     * Get the expiry month and full year, or null until the expiry date is complete.
+     * @returns {{ month: number, year: number } | null}
+     */
+    getExpiry() {
+        if (this._expiryMonth === null || this._expiryYear === null) return null;
+        return { month: this._expiryMonth, year: this._expiryYear };
+    }
+
+    // ---------- Field state ----------
+
+    /**
+     * Record that the user changed a field.
+     * @param {FieldName} field
+     */
+    markDirty(field) {
+        this._fieldStates[field].dirty = true;
+    }
+
+    /**
+     * Record that a field gained focus and emit the focus event.
+     * @param {FieldName} field
+     * @returns {FieldFocusEvent}
+     */
+    focusField(field) {
+        this._fieldStates[field].focused = true;
+        return this._emitFocusEvent('focus', field);
+    }
+
+    /**
+     * Record that a field lost focus, re-validate it so a deferred 'invalid' is surfaced,
+     * and emit the blur event.
+     * @param {FieldName} field
+     * @returns {FieldFocusEvent}
+     */
+    blurField(field) {
+        const state = this._fieldStates[field];
+        state.focused = false;
+        state.touched = true;
+        this._updateFieldStatus(field);
+        return this._emitFocusEvent('blur', field);
+    }
+
+    /**
+     * Record a submit attempt: every field surfaces its errors, including empty required fields.
+     * @returns {EngineState}
+     */
+    markSubmitted() {
+        this._submitted = true;
+        this._updateAllStatuses();
+        return this.getState();
+    }
+
+    /**
+     * Validate every field as on submit and return the full result.
+     * Like markSubmitted(), invalid and empty required fields surface their errors.
+     * @returns {ValidationResult}
+     */
+    validate() {
+        const state = this.markSubmitted();
+        const errors = this.getErrors();
+        return {
+            isAllValid: state.allValid,
+            invalidFields: this._getRequiredFields().filter(field => errors[field].length > 0),
+            errors,
+            state,
+        };
+    }
+
+    /**
+     * Clear every value and the touched, dirty and submitted state, and update every status.
+     * Focus is kept.
+     * @returns {EngineState}
+     */
+    reset() {
+        this._cardValue = '';
+        this._expiryValue = '';
+        this._cvvValue = '';
+        this._nameValue = '';
+        this._postalCodeValue = '';
+        this._submitted = false;
+
+        const fieldStates = createFieldStates();
+        for (const field of /** @type {FieldName[]} */ (Object.keys(fieldStates))) {
+            fieldStates[field].focused = this._fieldStates[field].focused;
+        }
+        this._fieldStates = fieldStates;
+
+        this._updateAllStatuses();
+        return this.getState();
+    }
+
+    /**
+     * Get the focus and edit state of a field.
+     * @param {FieldName} field
+     * @returns {FieldState}
+     */
+    getFieldState(field) {
+        return { ...this._fieldStates[field] };
+    }
+
+    // ---------- Tokenization ----------
+
+    /**
+     * Set the adapter that turns card data into a token.
+     * @param {Tokenizer|null} tokenizer
+     */
+    setTokenizer(tokenizer) {
+        this._tokenizer = tokenizer;
+    }
+
+    /**
+     * Hand the normalized card data straight to the tokenizer. Only works when all fields are valid.
+     * Emits tokenizeStart, then tokenizeSuccess or tokenizeError.
+     * @param {Object} [options]
+     * @param {boolean} [options.clear] - Clear the card number and CVV on success (defaults to clearAfterTokenize)
+     * @returns {Promise<TokenizeResult>}
+     * @throws {TokenizeError} NO_TOKENIZER or INVALID_CARD_DATA; errors of the tokenizer are rethrown
+     */
+    async tokenize({ clear = this.clearAfterTokenize } = {}) {
+        const tokenizer = this._tokenizer;
+        if (!tokenizer) {
+            throw new TokenizeError('No tokenizer is set', 'NO_TOKENIZER');
+        }
+        if (!this._allValid) {
+            throw new TokenizeError('Card data is not valid', 'INVALID_CARD_DATA');
+        }
+
+        const data = this.toJSON();
+        /** @type {TokenizeStartEvent} */
+        const startEvent = { brand: data.brand, last4: data.number.slice(-4) };
+        this.emit('tokenizeStart', startEvent);
+
+        /** @type {TokenizeResult} */
+        let result;
+        try {
+            result = await tokenizer(data);
+        } catch (error) {
+            /** @type {TokenizeErrorEvent} */
+            const errorEvent = { error };
+            this.emit('tokenizeError', errorEvent);
+            throw error;
+        }
+
+        if (clear) this.clearSensitiveValues();
+        this.emit('tokenizeSuccess', result);
+        return result;
+    }
+
+    /**
+     * Clear the card number and CVV and update their statuses.
+     */
+    clearSensitiveValues() {
+        this._cvvValue = '';
+        this.setCardNumber(''); // also updates CVV
+    }
+
+    // ---------- BIN lookup ----------
+
+    /**
+     * Set the provider of issuer details. Cached results are dropped and the
+     * current card number is looked up again.
+     * @param {BinLookup|null} binLookup
+     */
+    setBinLookup(binLookup) {
+        this.cancelBinLookup();
+        this._binLookup = binLookup;
+        this._binCache.clear();
+        this._bin = null;
+        this._updateBinInfo(this.getCardDigits());
+    }
+
+    /**
+     * Get the issuer details of the card number, or null until a lookup resolved.
+     * @returns {BinInfo|null}
+     */
+    getBinInfo() {
+        return this._binInfo;
+    }
+
+    /**
+     * Cancel a pending or running BIN lookup. Its result is ignored.
+     */
+    cancelBinLookup() {
+        if (this._binTimer) clearTimeout(this._binTimer);
+        this._binTimer = null;
+        if (this._binAbort) this._binAbort.abort();
+        this._binAbort = null;
+    }
+
+    // ---------- Public subscription methods ----------
+
+    /**
+     * Subscribe to card number status change event.
+     * @param {function(CardStatusEvent, any): void} callback
+     * @returns {() => void} Unsubscribe function
+     */
+    onCardStatus(callback) {
+        return this.eventEmitter.on('cardStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to expiry date status change event.
+     * @param {function(ExpiryStatusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onExpiryStatus(callback) {
+        return this.eventEmitter.on('expiryStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to CVV status change event.
+     * @param {function(CvvStatusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onCvvStatus(callback) {
+        return this.eventEmitter.on('cvvStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to cardholder name status change event.
+     * @param {function(NameStatusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onNameStatus(callback) {
+        return this.eventEmitter.on('nameStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to postal code status change event.
+     * @param {function(PostalCodeStatusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onPostalCodeStatus(callback) {
+        return this.eventEmitter.on('postalCodeStatusChange', callback);
+    }
+
+    /**
+     * Subscribe to field focus event.
+     * @param {function(FieldFocusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onFocus(callback) {
+        return this.eventEmitter.on('focus', callback);
+    }
+
+    /**
+     * Subscribe to field blur event.
+     * @param {function(FieldFocusEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onBlur(callback) {
+        return this.eventEmitter.on('blur', callback);
+    }
+
+    /**
+     * Subscribe to the start of tokenization.
+     * @param {function(TokenizeStartEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeStart(callback) {
+        return this.eventEmitter.on('tokenizeStart', callback);
+    }
+
+    /**
+     * Subscribe to successful tokenization.
+     * @param {function(TokenizeResult, any): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeSuccess(callback) {
+        return this.eventEmitter.on('tokenizeSuccess', callback);
+    }
+
+    /**
+     * Subscribe to failed tokenization.
+     * @param {function(TokenizeErrorEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onTokenizeError(callback) {
+        return this.eventEmitter.on('tokenizeError', callback);
+    }
+
+    /**
+     * Subscribe to issuer details of the card number.
+     * @param {function(BinInfoEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onBinInfo(callback) {
+        return this.eventEmitter.on('binInfo', callback);
+    }
+
+    /**
+     * Subscribe to coalesced state changes: at most one event per input event or microtask,
+     * with the full state and the keys that changed. Nothing is emitted when the state is the same.
+     * @param {function(StateChangeEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onChange(callback) {
+        return this.eventEmitter.on('change', callback);
+    }
+
+    /**
+     * Emit a pending change event right away instead of in a microtask.
+     * @returns {StateChangeEvent|null} - The event, or null if the state did not change
+     */
+    flushChanges() {
+        this._changeScheduled = false;
+        const state = this.getState();
+        const previous = this._publishedState;
+
+        /** @type {Record<string, any>} */
+        const before = previous;
+        /** @type {Partial<EngineState>} */
+        const changes = Object.fromEntries(
+            Object.entries(state).filter(([key, value]) => !isEqual(value, before[key]))
+        );
+        if (Object.keys(changes).length === 0) return null;
+
+        this._publishedState = state;
+        /** @type {StateChangeEvent} */
+        const event = { state, changes, previous };
+        this.emit('change', event);
+        return event;
+    }
+
+    /**
+     * Forget what was sent to subscribers, e.g. after replacing the event emitter: the next
+     * status events are emitted even with suppressUnchangedEvents, and change events are
+     * diffed against the current state. A pending change event is dropped.
+     */
+    resetPublishedState() {
+        this._statusEvents.clear();
+        this._changeScheduled = false;
+        this._publishedState = this.getState();
+    }
+
+    /**
+     * Subscribe to event when all required fields become valid or invalid.
+     * @param {function(AllValidEvent, any): void} callback
+     * @returns {() => void}
+     */
+    onAllValid(callback) {
+        return this.eventEmitter.on('allValid', callback);
+    }
+
+    /**
+     * Subscribe to any event (low-level method).
+     * @param {string} eventName
+     * @param {function(...any): void} callback
+     * @returns {() => void}
+     */
+    on(eventName, callback) {
+        return this.eventEmitter.on(eventName, callback);
+    }
+
+    /**
+     * Get current state.
+     * @returns {EngineState}
+     */
+    getState() {
+        return {
+            cardStatus: this._cardStatus,
+            expiryStatus: this._expiryStatus,
+            cvvStatus: this._cvvStatus,
+            nameStatus: this._nameStatus,
+            postalCodeStatus: this._postalCodeStatus,
+            cardType: this._cardType,
+            isAmex: this._isAmex,
+            binInfo: this._binInfo,
+            cvvLength: this._cvvLength,
+            cvvName: this._cvvName,
+            allValid: this._allValid,
+            submitted: this._submitted,
+            values: this._getPublicValues(),
+            errors: this.getErrors(),
+            fields: {
+                card: this.getFieldState('card'),
+                expiry: this.getFieldState('expiry'),
+                cvv: this.getFieldState('cvv'),
+                name: this.getFieldState('name'),
+                postalCode: this.getFieldState('postalCode'),
+            },
+        };
+    }
+
+    /**
+     * Get current error codes of every field.
+     * @returns {Record<FieldName, ErrorCode[]>}
+     */
+    getErrors() {
+        return {
+            card: this._errors.card.slice(),
+            expiry: this._errors.expiry.slice(),
+            cvv: this._errors.cvv.slice(),
+            name: this._errors.name.slice(),
+            postalCode: this._errors.postalCode.slice(),
+        };
+    }
+
+    /**
+     * Emit event (internal use).
+     * @param {string} event
+     * @param {...any} args
+     */
+    emit(event, ...args) {
+        this.eventEmitter.emit(event, ...args, this.context);
+        if (event !== 'change') this._scheduleChange();
+    }
+
+    // ---------- Private methods ----------
+
+    /**
+     * Field values for getState(): snapshots end up in change events and framework state,
+     * so they never hold the card number or the CVV.
+     * @returns {PublicValues}
+     */
+    _getPublicValues() {
+        const { expiry, name, postalCode } = this.getValues();
+        return { last4: this.getLast4(), expiry, name, postalCode };
+    }
+
+    /**
+     * Applies the validateOn policy to a status computed from the value alone.
+     * Until the field is due, 'invalid' is reported as 'incomplete'; once it is due,
+     * 'incomplete' is reported as 'invalid', and after submit so is an empty field.
+     * @param {FieldName} field
+     * @param {Status} status
+     * @returns {Status}
+     */
+    _applyValidationPolicy(field, status) {
+        const { touched } = this._fieldStates[field];
+        const submitted = this._submitted;
+        const due = this.validateOn === 'submit' ? submitted : touched || submitted;
+
+        if (status === 'invalid' && this.validateOn !== 'input' && !due) return 'incomplete';
+        if (status === 'incomplete' && due) return 'invalid';
+        if (status === 'neutral' && submitted) return 'invalid';
+        return status;
+    }
+
+    /**
+     * @param {FieldName} field
+     */
+    _updateFieldStatus(field) {
+        switch (field) {
+            case 'card':
+                this._updateCardStatus();
+                break;
+            case 'expiry':
+                this._updateExpiryStatus();
+                break;
+            case 'cvv':
+                this._updateCvvStatus();
+                break;
+            case 'name':
+                this._updateNameStatus();
+                break;
+            case 'postalCode':
+                this._updatePostalCodeStatus();
+                break;
+        }
+    }
+
+    /**
+     * @param {string[]|null} brands
+     */
+    _setAcceptedBrands(brands) {
+        this._acceptedBrands = brands && brands.length > 0 ? brands.slice() : null;
+    }
+
+    /**
+     * Fields that count toward allValid, in form order.
+     * @returns {FieldName[]}
+     */
+    _getRequiredFields() {
+        /** @type {FieldName[]} */
+        const fields = ['card', 'expiry', 'cvv'];
+        if (this.requireName) fields.push('name');
+        if (this.requirePostalCode) fields.push('postalCode');
+        return fields;
+    }
+
+    /**
+     * Schedules a lookup when the BIN of the card number changes: the first 8 digits
+     * when typed, otherwise the first 6. Cached BINs resolve at once.
+     * @param {string} digits
+     */
+    _updateBinInfo(digits) {
+        if (!this._binLookup) return;
+        const bin = digits.length >= 6 ? digits.slice(0, digits.length >= 8 ? 8 : 6) : null;
+        if (bin === this._bin) return;
+
+        this.cancelBinLookup();
+        this._bin = bin;
+
+        if (!bin) {
+            if (this._binInfo) this._setBinInfo({ bin: null, info: null });
+            return;
+        }
+        if (this._binCache.has(bin)) {
+            this._setBinInfo({ bin, info: this._binCache.get(bin) || null });
+            return;
+        }
+        // Details of another BIN must not show while the new one is looked up
+        if (this._binInfo && !bin.startsWith(this._binInfo.bin)) {
+            this._setBinInfo({ bin, info: null });
+        }
+        this._binTimer = setTimeout(() => {
+            this._binTimer = null;
+            this._lookupBin(bin);
+        }, this.binLookupDelay);
+    }
+
+    /**
+     * @param {string} bin
+     */
+    async _lookupBin(bin) {
+        const binLookup = /** @type {BinLookup} */ (this._binLookup);
+        const controller = new AbortController();
+        this._binAbort = controller;
+
+        try {
+            const info = (await binLookup(bin, { signal: controller.signal })) || null;
+            if (controller.signal.aborted) return;
+            this._binAbort = null;
+            this._binCache.set(bin, info);
+            this._setBinInfo({ bin, info });
+        } catch (error) {
+            // Stale lookups may reject with an AbortError
+            if (controller.signal.aborted) return;
+            this._binAbort = null;
+            this._setBinInfo({ bin, info: null, error });
+        }
+    }
+
+    /**
+     * @param {BinInfoEvent} event
+     */
+    _setBinInfo(event) {
+        this._binInfo = event.info;
+        this.emit('binInfo', event);
+    }
+
+    _updateAllStatuses() {
+        this._updateCardStatus();
+        this._updateExpiryStatus();
+        this._updateCvvStatus();
+        if (this.requireName) this._updateNameStatus();
+        if (this.requirePostalCode) this._updatePostalCodeStatus();
+    }
+
+    /**
+     * Queues a change event for the end of the current task; every event emitted
+     * until then is coalesced into it.
+     */
+    _scheduleChange() {
+        if (this._changeScheduled) return;
+        this._changeScheduled = true;
+        queueMicrotask(() => {
+            if (this._changeScheduled) this.flushChanges();
+        });
+    }
+
+    /**
+     * Emits a field status event, unless suppressUnchangedEvents is set and the payload
+     * equals the previous one.
+     * @param {string} eventName
+     * @param {CardStatusEvent | ExpiryStatusEvent | CvvStatusEvent | NameStatusEvent | PostalCodeStatusEvent} event
+     */
+    _emitStatus(eventName, event) {
+        if (this.suppressUnchangedEvents && isEqual(this._statusEvents.get(eventName), event)) {
+            return;
+        }
+        this._statusEvents.set(eventName, event);
+        this.emit(eventName, event);
+    }
+
+    /**
+     * @param {'focus' | 'blur'} eventName
+     * @param {FieldName} field
+     * @returns {FieldFocusEvent}
+     */
+    _emitFocusEvent(eventName, field) {
+        /** @type {FieldFocusEvent} */
+        const event = {
+            field,
+            status: this._getFieldStatus(field),
+            ...this._fieldStates[field],
+        };
+        this.emit(eventName, event);
+        return event;
+    }
+
+    /**
+     * @param {FieldName} field
+     * @returns {Status}
+     */
+    _getFieldStatus(field) {
+        switch (field) {
+            case 'card':
+                return this._cardStatus;
+            case 'expiry':
+                return this._expiryStatus;
+            case 'cvv':
+                return this._cvvStatus;
+            case 'name':
+                return this._nameStatus;
+            case 'postalCode':
+                return this._postalCodeStatus;
+        }
+    }
+
+    /**
+     * @returns {CardStatusEvent}
+     */
+    _updateCardStatus() {
+        const value = this._cardValue;
+        const digits = extractDigits(value);
+        const { lengths, maxDigits, luhn, cvvLength, cvvName } = getCardRules(digits);
+        const type = this.getCardType(digits);
+        const isAmex = type === 'American Express';
+
+        this._cardType = type;
+        this._isAmex = isAmex;
+        this._cvvLength = cvvLength;
+        this._cvvName = cvvName;
+
+        /** @type {Status} */
+        let status = 'neutral';
+        let isValid = false;
+        /** @type {ErrorCode[]} */
+        const errors = [];
+
+        if (digits.length === 0) {
+            errors.push(ERROR_CODES.REQUIRED);
+        } else if (digits.length > maxDigits) {
+            status = 'invalid';
+            errors.push(ERROR_CODES.TOO_LONG);
+        } else if (lengths.includes(digits.length) || digits.length === maxDigits) {
+            isValid = !luhn || luhnValidate(digits);
+            if (isValid) {
+                status = 'valid';
+            } else {
+                errors.push(ERROR_CODES.LUHN_FAILED);
+                // Other shorter allowed lengths that fail Luhn may still be completed
+                const isFinal =
+                    digits.length === maxDigits || digits.length === STANDARD_CARD_LENGTH;
+                status = isFinal ? 'invalid' : 'incomplete';
+            }
+        } else {
+            status = 'incomplete';
+            errors.push(ERROR_CODES.TOO_SHORT);
+        }
+
+        const isBrandAccepted =
+            digits.length < BRAND_DETECTION_DIGITS || this.isBrandAccepted(type);
+        if (!isBrandAccepted) {
+            status = 'invalid';
+            errors.unshift(ERROR_CODES.UNSUPPORTED_BRAND);
+        }
+
+        // Whether a number is a test card is only known once it is complete
+        const isTestCard = isTestCardNumber(digits);
+        if (status === 'valid' && this._mode === 'production' && isTestCard) {
+            status = 'invalid';
+            errors.push(ERROR_CODES.TEST_CARD);
+        } else if (status === 'valid' && this._mode === 'sandbox' && !isTestCard) {
+            status = 'invalid';
+            errors.push(ERROR_CODES.NOT_TEST_CARD);
+        }
+
+        status = this._applyValidationPolicy('card', status);
+
+        // Emitted even if the status is the same, as other fields (type, isAmex) may change
+        this._cardStatus = status;
+        this._errors.card = errors;
+        /** @type {CardStatusEvent} */
+        const event = {
+            status,
+            errors,
+            value,
+            digits,
+            type,
+            isAmex,
+            isBrandAccepted,
+            isTestCard,
+            isValid,
+            maxDigits,
+            lengths,
+        };
+        this._emitStatus('cardStatusChange', event);
+        this._updateBinInfo(digits);
+
+        this._checkAllValid();
+        return event;
+    }
+
+    /**
+     * @returns {ExpiryStatusEvent}
+     */
+    _updateExpiryStatus() {
+        const value = this._expiryValue;
+        const digits = extractDigits(value);
+        /** @type {Status} */
+        let status = 'neutral';
+        let month = null;
+        let year = null;
+
+        const { yearDigits } = this._expiryFormat;
+        /** @type {ErrorCode[]} */
+        const errors = [];
+
+        if (digits.length === 0) {
+            errors.push(ERROR_CODES.REQUIRED);
+        } else if (digits.length !== 2 + yearDigits) {
+            status = 'incomplete';
+            errors.push(ERROR_CODES.INCOMPLETE);
+        } else {
+            const now = this.now();
+            const currentYear = now.getFullYear();
+            const currentMonth = now.getMonth() + 1;
+
+            month = parseInt(digits.substring(0, 2), 10);
+            year = parseInt(digits.substring(2), 10);
+            if (yearDigits === 2) {
+                year = expandYear(year, currentYear);
+            }
+
+            if (month < 1 || month > 12) {
+                status = 'invalid';
+                errors.push(ERROR_CODES.INVALID_MONTH);
+            } else {
+                const currentTotal = currentYear * 12 + currentMonth;
+                const inputTotal = year * 12 + month;
+                const maxTotal = (currentYear + this.maxYearsAhead) * 12 + currentMonth;
+
+                if (inputTotal < currentTotal) {
+                    status = 'invalid';
+                    errors.push(ERROR_CODES.EXPIRED);
+                } else if (inputTotal > maxTotal) {
+                    status = 'invalid';
+                    errors.push(ERROR_CODES.TOO_FAR_FUTURE);
+                } else {
+                    status = 'valid';
+                }
+            }
+        }
+
+        status = this._applyValidationPolicy('expiry', status);
+        this._expiryStatus = status;
+        // Only a real calendar month is exposed through getExpiry()
+        const hasMonth = errors[0] !== ERROR_CODES.INVALID_MONTH;
+        this._expiryMonth = hasMonth ? month : null;
+        this._expiryYear = hasMonth ? year : null;
+        this._errors.expiry = errors;
+        /** @type {ExpiryStatusEvent} */
+        const event = {
+            status,
+            errors,
+            value,
+            digits,
+            month,
+            year,
+        };
+        this._emitStatus('expiryStatusChange', event);
+
+        this._checkAllValid();
+        return event;
+    }
+
+    /**
+     * @returns {CvvStatusEvent}
+     */
+    _updateCvvStatus() {
+        const value = this._cvvValue;
+        const digits = extractDigits(value);
+        const isAmex = this._isAmex;
+        const expectedLength = this._cvvLength;
+        const cvvName = this._cvvName;
+
+        /** @type {Status} */
+        let status = 'neutral';
+        /** @type {ErrorCode[]} */
+        const errors = [];
+
+        if (digits.length === 0) {
+            errors.push(ERROR_CODES.REQUIRED);
+        } else if (digits.length === expectedLength) {
+            status = 'valid';
+        } else {
+            status = digits.length < expectedLength ? 'incomplete' : 'invalid';
+            errors.push(ERROR_CODES.CVV_WRONG_LENGTH);
+        }
+
+        status = this._applyValidationPolicy('cvv', status);
+        this._cvvStatus = status;
+        this._errors.cvv = errors;
+        /** @type {CvvStatusEvent} */
+        const event = {
+            status,
+            errors,
+            value,
+            digits,
+            expectedLength,
+            cvvName,
+            isAmex,
+        };
+        this._emitStatus('cvvStatusChange', event);
+
+        this._checkAllValid();
+        return event;
+    }
+
+    /**
+     * @returns {NameStatusEvent}
+     */
+    _updateNameStatus() {
+        const value = this._nameValue;
+        const name = value.trim();
+
+        /** @type {Status} */
+        let status = 'neutral';
+        /** @type {ErrorCode[]} */
+        const errors = [];
+
+        if (name.length === 0) {
+            errors.push(ERROR_CODES.REQUIRED);
+        } else if (validateCardholderName(name)) {
+            status = 'valid';
+        } else {
+            // A single character may still grow into a name
+            status = name.length < 2 ? 'incomplete' : 'invalid';
+            errors.push(ERROR_CODES.NAME_INVALID);
+        }
+
+        status = this._applyValidationPolicy('name', status);
+        this._nameStatus = status;
+        this._errors.name = errors;
+        /** @type {NameStatusEvent} */
+        const event = {
+            status,
+            errors,
+            value,
+            name,
+        };
+        this._emitStatus('nameStatusChange', event);
+
+        this._checkAllValid();
+        return event;
+    }
+
+    /**
+     * @returns {PostalCodeStatusEvent}
+     */
+    _updatePostalCodeStatus() {
+        const value = this._postalCodeValue;
+        const country = this._postalCodeCountry;
+        const postalCode = compactPostalCode(value, country);
+
+        /** @type {Status} */
+        let status = 'neutral';
+        /** @type {ErrorCode[]} */
+        const errors = [];
+
+        if (postalCode.length === 0) {
+            errors.push(ERROR_CODES.REQUIRED);
+        } else if (validatePostalCode(value, country)) {
+            status = 'valid';
+        } else {
+            const { minLength, maxLength } = getPostalCodeFormat(country);
+            status = postalCode.length < (minLength || maxLength) ? 'incomplete' : 'invalid';
+            errors.push(ERROR_CODES.POSTAL_CODE_INVALID);
+        }
+
+        status = this._applyValidationPolicy('postalCode', status);
+        this._postalCodeStatus = status;
+        this._errors.postalCode = errors;
+        /** @type {PostalCodeStatusEvent} */
+        const event = {
+            status,
+            errors,
+            value,
+            postalCode,
+            country,
+        };
+        this._emitStatus('postalCodeStatusChange', event);
+
+        this._checkAllValid();
+        return event;
+    }
+
+    /**
+     * Checks if all required fields are valid and emits allValid event on change.
+     */
+    _checkAllValid() {
+        const allValidNow =
+            this._cardStatus === 'valid' &&
+            this._expiryStatus === 'valid' &&
+            this._cvvStatus === 'valid' &&
+            (!this.requireName || this._nameStatus === 'valid') &&
+            (!this.requirePostalCode || this._postalCodeStatus === 'valid');
+        if (this._allValid !== allValidNow) {
+            this._allValid = allValidNow;
+            this.emit('allValid', { isAllValid: allValidNow });
+        }
+    }
+}
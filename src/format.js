@@ -1,121 +1,281 @@
 // @ts-check
 
-import { isProbablyAmex } from "./helpers.js";
+import { getCardRules, getMaxCvvLength } from "./brands.js";
+import { CARDHOLDER_NAME_MAX_LENGTH, normalizeDigits } from "./helpers.js";
+import { MASK_DIGIT, formatMaskValue } from "./mask.js";
+import { compactPostalCode, groupPostalCode } from "./postal.js";
+
+/**
+ * @typedef {Object} FormatResult
+ * @property {string} value - Formatted value
+ * @property {number} cursor - Cursor position in the formatted value
+ */
+
+/**
+ * Writes a format result back to an input element.
+ * @param {HTMLInputElement} input - The input element
+ * @param {function(string, number): FormatResult} format - Pure formatter
+ * @returns {void}
+ */
+function applyFormat(input, format) {
+    const { value, cursor } = format(input.value, input.selectionStart || 0);
+    // Assigning an unchanged value would drop the native undo history in some browsers
+    if (input.value !== value) input.value = value;
+    input.setSelectionRange(cursor, cursor);
+}
 
 // ---- Format CVV: only digits ----
 
 /**
- * Format CVV input: only allow 4 digits
+ * Format a CVV value: only allow as many digits as the longest registered security code
+ * @param {string} oldValue - Raw value
+ * @param {number} [cursorPos] - Cursor position in the raw value (defaults to the end)
+ * @returns {FormatResult}
+ */
+export function formatCvvValue(oldValue, cursorPos = oldValue.length) {
+    return formatMaskValue(oldValue, cursorPos, MASK_DIGIT.repeat(getMaxCvvLength()));
+}
+
+/**
+ * Format CVV input: only allow as many digits as the longest registered security code
  * @param {HTMLInputElement} input - The input element to be formatted
  * @returns {void}
  */
 export function formatCvv(input) {
-    const oldValue = input.value;
-    const cursorPos = input.selectionStart || 0;
-    const digits = oldValue.replace(/\D/g, '');
-    const newValue = digits.substring(0, 4);
-    input.value = newValue;
-
-    if (cursorPos <= newValue.length) {
-        input.setSelectionRange(cursorPos, cursorPos);
-    } else {
-        input.setSelectionRange(newValue.length, newValue.length);
-    }
+    applyFormat(input, formatCvvValue);
 }
 
 // ---- Format expiry as MM / YY ----
 
 /**
- * Format expiry date input: only allow MM / YY (4 digits)
- * @param {HTMLInputElement} input - The input element to be formatted
- * @returns {void}
+ * @typedef {Object} ExpiryFormatOptions
+ * @property {string} [format] - Expiry layout: 'MM / YY' (default), 'MM/YY', 'MM/YYYY', 'MM-YY', ...
+ * @property {string} [separator] - Separator between month and year; overrides the one in format
  */
-export function formatExpiry(input) {
-    const cursorPos = input.selectionStart || 0;
-    const oldValue = input.value;
 
-    let digits = oldValue.replace(/\D/g, '').substring(0, 4);
-    const digitsBeforeCursor = oldValue.slice(0, cursorPos).replace(/\D/g, '').length;
+/**
+ * @typedef {Object} ExpiryFormat
+ * @property {string} separator - Separator between month and year
+ * @property {2 | 4} yearDigits - Number of year digits
+ */
 
-    let formatted = '';
-    if (digits.length > 0) {
-        if (digits.length <= 2) {
-            formatted = digits;
-        } else {
-            formatted = digits.substring(0, 2) + ' / ' + digits.substring(2, 4);
-        }
+/**
+ * Resolves expiry format options to a separator and a number of year digits.
+ * @param {ExpiryFormatOptions} [options]
+ * @returns {ExpiryFormat}
+ * @example
+ * resolveExpiryFormat({ format: 'MM/YYYY' }) // returns { separator: '/', yearDigits: 4 }
+ */
+export function resolveExpiryFormat({ format = 'MM / YY', separator } = {}) {
+    const match = format.match(/^MM(.*?)(Y{2,4})$/);
+    if (!match) {
+        throw new TypeError(`Unsupported expiry format "${format}"`);
     }
+    return {
+        separator: separator === undefined ? match[1] : separator,
+        yearDigits: match[2].length === 4 ? 4 : 2,
+    };
+}
 
-    input.value = formatted;
+/**
+ * Mask of an expiry date, e.g. '## / ##' or '##/####'.
+ * @param {ExpiryFormatOptions} [options]
+ * @returns {string}
+ */
+export function getExpiryMask(options) {
+    const { separator, yearDigits } = resolveExpiryFormat(options);
+    return MASK_DIGIT.repeat(2) + separator + MASK_DIGIT.repeat(yearDigits);
+}
 
-    let newCursorPos = 0;
-    let digitCount = 0;
-    while (newCursorPos < formatted.length && digitCount < digitsBeforeCursor) {
-        if (/\d/.test(formatted[newCursorPos])) {
-            digitCount++;
-        }
-        newCursorPos++;
-    }
-    if (digitCount < digitsBeforeCursor) {
-        newCursorPos = formatted.length;
+/**
+ * Formats an expiry month and year with the given format.
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (full, 20xx)
+ * @param {ExpiryFormatOptions} [options]
+ * @returns {string}
+ * @example
+ * formatExpiryDate(7, 2029) // returns "07 / 29"
+ */
+export function formatExpiryDate(month, year, options) {
+    const { separator, yearDigits } = resolveExpiryFormat(options);
+    const yearText = yearDigits === 4 ? String(year) : String(year % 100).padStart(2, '0');
+    return String(month).padStart(2, '0') + separator + yearText;
+}
+
+/**
+ * Format an expiry date value: MM / YY by default, or the layout given in options.
+ * A single month digit 2-9, or a single digit followed by a separator, gets a leading zero.
+ * @param {string} oldValue - Raw value
+ * @param {number} [cursorPos] - Cursor position in the raw value (defaults to the end)
+ * @param {ExpiryFormatOptions} [options] - Expiry layout
+ * @returns {FormatResult}
+ */
+export function formatExpiryValue(oldValue, cursorPos = oldValue.length, options) {
+    const value = normalizeDigits(oldValue);
+    let digits = value.replace(/\D/g, '');
+    let digitsBeforeCursor = value.slice(0, cursorPos).replace(/\D/g, '').length;
+
+    if (/^[2-9]/.test(digits) || /^\s*\d\s*[^\d\s]/.test(value)) {
+        digits = '0' + digits;
+        if (digitsBeforeCursor > 0) digitsBeforeCursor++;
     }
-    input.setSelectionRange(newCursorPos, newCursorPos);
+
+    // A digits-only value with the cursor after digitsBeforeCursor digits
+    return formatMaskValue(digits, digitsBeforeCursor, getExpiryMask(options));
+}
+
+/**
+ * Format expiry date input: MM / YY by default, or the layout given in options
+ * @param {HTMLInputElement} input - The input element to be formatted
+ * @param {ExpiryFormatOptions} [options] - Expiry layout
+ * @returns {void}
+ */
+export function formatExpiry(input, options) {
+    applyFormat(input, (value, cursor) => formatExpiryValue(value, cursor, options));
 }
 
 // ---- Format card number with dynamic grouping ----
 
 /**
- * Format card number input: dynamic grouping based on card type
+ * Format a card number value: dynamic grouping based on the card brand registry
+ * @param {string} oldValue - Raw value
+ * @param {number} [cursorPos] - Cursor position in the raw value (defaults to the end)
+ * @returns {FormatResult}
+ */
+export function formatCardNumberValue(oldValue, cursorPos = oldValue.length) {
+    return formatMaskValue(oldValue, cursorPos, getCardNumberMask);
+}
+
+/**
+ * Mask of a card number for the brand of the given digits, e.g. '#### ###### #####' for
+ * American Express. Digits beyond the last group, up to the maximum length, stay in the last group.
+ * @param {string} digits - Card number digits
+ * @returns {string}
+ */
+export function getCardNumberMask(digits) {
+    const { maxDigits, groups } = getCardRules(digits);
+    /** @type {string[]} */
+    const parts = [];
+    let remaining = maxDigits;
+    for (let i = 0; i < groups.length && remaining > 0; i++) {
+        const size = i < groups.length - 1 ? Math.min(groups[i], remaining) : remaining;
+        parts.push(MASK_DIGIT.repeat(size));
+        remaining -= size;
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Format card number input: dynamic grouping based on the card brand registry
  * @param {HTMLInputElement} input - The input element to be formatted
  * @returns {void}
  */
 export function formatCardNumber(input) {
-    const oldValue = input.value;
-    const cursorPos = input.selectionStart || 0;
+    applyFormat(input, formatCardNumberValue);
+}
 
-    let digits = oldValue.replace(/\D/g, '');
-    const isAmex = isProbablyAmex(digits);
-    const maxDigits = isAmex ? 15 : 16;
-    digits = digits.substring(0, maxDigits);
-    const digitsBeforeCursor = oldValue.slice(0, cursorPos).replace(/\D/g, '').length;
+// ---- Format cardholder name ----
 
+/**
+ * Format a cardholder name value: letters, spaces, apostrophes, hyphens and periods,
+ * no leading or repeated spaces, at most CARDHOLDER_NAME_MAX_LENGTH characters
+ * @param {string} oldValue - Raw value
+ * @param {number} [cursorPos] - Cursor position in the raw value (defaults to the end)
+ * @returns {FormatResult}
+ */
+export function formatNameValue(oldValue, cursorPos = oldValue.length) {
     let formatted = '';
-    if (isAmex) {
-        const groups = [4, 6, 5];
-        let digitIndex = 0;
-        for (let i = 0; i < groups.length; i++) {
-            const groupSize = groups[i];
-            for (let j = 0; j < groupSize; j++) {
-                if (digitIndex < digits.length) {
-                    formatted += digits[digitIndex];
-                    digitIndex++;
-                }
-            }
-            if (digitIndex < digits.length && i < groups.length - 1) {
+    let newCursorPos = 0;
+    let consumed = 0;
+
+    for (const char of oldValue) {
+        consumed += char.length;
+        if (/\s/.test(char)) {
+            if (formatted.length > 0 && !formatted.endsWith(' ')) {
                 formatted += ' ';
             }
+        } else if (/[\p{L}\p{M}'.-]/u.test(char)) {
+            formatted += char;
         }
-    } else {
-        for (let i = 0; i < digits.length; i++) {
-            if (i > 0 && i % 4 === 0) {
-                formatted += ' ';
-            }
-            formatted += digits[i];
+        if (consumed <= cursorPos) {
+            newCursorPos = formatted.length;
         }
     }
 
-    input.value = formatted;
+    formatted = formatted.substring(0, CARDHOLDER_NAME_MAX_LENGTH);
+    return { value: formatted, cursor: Math.min(newCursorPos, formatted.length) };
+}
+
+/**
+ * Format cardholder name input
+ * @param {HTMLInputElement} input - The input element to be formatted
+ * @returns {void}
+ */
+export function formatName(input) {
+    applyFormat(input, formatNameValue);
+}
+
+// ---- Format postal code by country ----
+
+/**
+ * Format a postal code value: upper case, country-specific separators and length
+ * @param {string} oldValue - Raw value
+ * @param {number} [cursorPos] - Cursor position in the raw value (defaults to the end)
+ * @param {string} [country] - ISO country code (US, CA, UK, ...); generic format if omitted
+ * @returns {FormatResult}
+ */
+export function formatPostalCodeValue(oldValue, cursorPos = oldValue.length, country) {
+    const formatted = groupPostalCode(compactPostalCode(oldValue, country), country);
+    const charsBeforeCursor = compactPostalCode(oldValue.slice(0, cursorPos), country).length;
 
     let newCursorPos = 0;
-    let digitCount = 0;
-    while (newCursorPos < formatted.length && digitCount < digitsBeforeCursor) {
-        if (/\d/.test(formatted[newCursorPos])) {
-            digitCount++;
+    let charCount = 0;
+    while (newCursorPos < formatted.length && charCount < charsBeforeCursor) {
+        if (/[A-Z0-9]/.test(formatted[newCursorPos])) {
+            charCount++;
         }
         newCursorPos++;
     }
-    if (digitCount < digitsBeforeCursor) {
+    if (charCount < charsBeforeCursor) {
         newCursorPos = formatted.length;
     }
-    input.setSelectionRange(newCursorPos, newCursorPos);
-}
\ No newline at end of file
+    return { value: formatted, cursor: newCursorPos };
+}
+
+/**
+ * Format postal code input
+ * @param {HTMLInputElement} input - The input element to be formatted
+ * @param {string} [country] - ISO country code (US, CA, UK, ...); generic format if omitted
+ * @returns {void}
+ */
+export function formatPostalCode(input, country) {
+    applyFormat(input, (value, cursor) => formatPostalCodeValue(value, cursor, country));
+}
+
+// ---- Masking ----
+
+/**
+ * Mask a formatted card number for display, keeping its grouping and the last digits
+ * @param {string} value - Formatted card number (e.g. "4111 1111 1111 1234")
+ * @param {string} [maskChar] - Character shown instead of hidden digits
+ * @param {number} [visibleDigits] - Number of trailing digits left visible
+ * @returns {string} - Masked value (e.g. "•••• •••• •••• 1234")
+ */
+export function maskCardNumber(value, maskChar = '•', visibleDigits = 4) {
+    const totalDigits = value.replace(/\D/g, '').length;
+    let digitIndex = 0;
+    return value.replace(/\d/g, digit => {
+        digitIndex++;
+        return digitIndex > totalDigits - visibleDigits ? digit : maskChar;
+    });
+}
+
+/**
+ * Mask a CVV for display
+ * @param {string} value - CVV
+ * @param {string} [maskChar] - Character shown instead of digits
+ * @returns {string}
+ */
+export function maskCvv(value, maskChar = '•') {
+    return value.replace(/\d/g, maskChar);
+}
@@ -0,0 +1,249 @@
+// @ts-check
+
+import { getCardBrand, getCardRules, detectCardBrand } from './brands.js';
+import { formatExpiryDate } from './format.js';
+import { luhnCheckDigit } from './helpers.js';
+import { ERROR_CODES } from './messages.js';
+
+/**
+ * @typedef {import('./brands.js').CardPrefix} CardPrefix
+ * @typedef {import('./engine.js').FieldName} FieldName
+ * @typedef {import('./messages.js').ErrorCode} ErrorCode
+ */
+
+/**
+ * @typedef {Object} GenerateCardNumberOptions
+ * @property {string} [brand='Visa'] - Registered card type (see getCardBrands())
+ * @property {number} [length] - Number of digits; one of the brand's lengths
+ *   (16 when allowed, otherwise the longest)
+ * @property {function(): number} [random=Math.random] - Random source in [0, 1), e.g. a seeded one
+ */
+
+/**
+ * @typedef {Object} GenerateExpiryOptions
+ * @property {number} [offsetMonths=12] - Months from the current month (negative for expired dates)
+ * @property {string} [format='MM / YY'] - Expiry layout: 'MM / YY', 'MM/YY', 'MM/YYYY', 'MM-YY', ...
+ * @property {string} [separator] - Separator between month and year; overrides the one in format
+ * @property {function(): Date} [now] - Clock the offset is counted from
+ */
+
+/**
+ * @typedef {Object} CardFixtureOptions
+ * @property {string} [brand='Visa'] - Registered card type
+ * @property {number} [length] - Card number length (see generateCardNumber)
+ * @property {string} [expiryFormat='MM / YY'] - Expiry layout, as in the CreditCardEngine option
+ * @property {string} [expirySeparator] - Separator between month and year, as in the CreditCardEngine option
+ * @property {number} [maxYearsAhead=10] - Same as the CreditCardEngine option
+ * @property {function(): Date} [now] - Clock, as in the CreditCardEngine option
+ * @property {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+
+/**
+ * Matching card number, expiry date and security code.
+ * @typedef {Object} CardFixture
+ * @property {string} description - What the fixture covers (e.g. "Visa: expired")
+ * @property {string} number - Card number digits
+ * @property {string} expiry - Expiry date in the requested format
+ * @property {string} cvv - Security code digits
+ * @property {FieldName|null} field - Field that fails validation, or null when every field is valid
+ * @property {ErrorCode|null} error - Error code reported for that field
+ */
+
+/** How many numbers to try before giving up on a brand whose prefixes are taken by other brands */
+const MAX_ATTEMPTS = 100;
+
+/**
+ * @param {number} count
+ * @param {function(): number} random
+ * @returns {string}
+ */
+function randomDigits(count, random) {
+    let digits = '';
+    for (let i = 0; i < count; i++) {
+        digits += Math.floor(random() * 10);
+    }
+    return digits;
+}
+
+/**
+ * Picks one of the prefixes; a prefix range yields a random prefix inside it.
+ * @param {CardPrefix[]} prefixes
+ * @param {function(): number} random
+ * @returns {string}
+ */
+function randomPrefix(prefixes, random) {
+    const prefix = prefixes[Math.floor(random() * prefixes.length)];
+    if (typeof prefix === 'string') return prefix;
+
+    const [min, max] = prefix;
+    const value = min + Math.floor(random() * (max - min + 1));
+    return String(value).padStart(String(min).length, '0');
+}
+
+/**
+ * Generates a random card number that passes the Luhn check and is detected as the given brand.
+ * Meant for tests and fixtures: the number is valid in form only and belongs to no account.
+ * @param {GenerateCardNumberOptions} [options]
+ * @returns {string} - Card number digits
+ * @throws {TypeError} If the brand is not registered
+ * @throws {RangeError} If the length is not one of the brand's lengths
+ * @example
+ * generateCardNumber({ brand: 'American Express' }) // returns e.g. "371238839571203"
+ */
+export function generateCardNumber({ brand = 'Visa', length, random = Math.random } = {}) {
+    const cardBrand = getCardBrand(brand);
+    if (!cardBrand) {
+        throw new TypeError(`Unknown card brand "${brand}"`);
+    }
+
+    const { lengths, prefixes } = cardBrand;
+    const defaultLength = lengths.includes(16) ? 16 : lengths[lengths.length - 1];
+    const size = length === undefined ? defaultLength : length;
+    if (!lengths.includes(size)) {
+        throw new RangeError(`Card brand "${brand}" has no ${size}-digit numbers`);
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const prefix = randomPrefix(prefixes, random);
+        const body = (prefix + randomDigits(size - 1 - prefix.length, random)).slice(0, size - 1);
+        const number = body + luhnCheckDigit(body);
+        // Prefixes may overlap with longer prefixes of other brands (4 is Visa, 401178 is Elo)
+        const detected = detectCardBrand(number);
+        if (detected && detected.type === brand) return number;
+    }
+
+    throw new Error(`Could not generate a "${brand}" number: its prefixes belong to other brands`);
+}
+
+/**
+ * Generates an expiry date relative to the current month.
+ * @param {GenerateExpiryOptions} [options]
+ * @returns {string} - Formatted expiry date
+ * @example
+ * generateExpiry({ offsetMonths: -1 }) // returns last month, e.g. "09 / 26"
+ */
+export function generateExpiry({
+    offsetMonths = 12,
+    format = 'MM / YY',
+    separator,
+    now = () => new Date(),
+} = {}) {
+    const date = now();
+    const total = date.getFullYear() * 12 + date.getMonth() + offsetMonths;
+    return formatExpiryDate((total % 12) + 1, Math.floor(total / 12), { format, separator });
+}
+
+/**
+ * Builds a valid card number, expiry date and security code for a brand, followed by
+ * deliberately invalid variants, one per validation failure. Each invalid fixture breaks
+ * exactly one field; the others stay valid. UNSUPPORTED_BRAND, TEST_CARD and NOT_TEST_CARD
+ * depend on engine options and are not covered.
+ *
+ * Values are raw, as passed to setValues(); the formatters trim a card number or CVV
+ * that is too long, so TOO_LONG only shows up when values are set directly.
+ * @param {CardFixtureOptions} [options]
+ * @returns {CardFixture[]} - The valid fixture first, then the invalid ones
+ * @example
+ * for (const fixture of createCardFixtures({ brand: 'Mastercard' })) {
+ *     engine.setValues(fixture);
+ *     const { isAllValid, errors } = engine.validate();
+ *     // isAllValid === !fixture.error, errors[fixture.field][0] === fixture.error
+ * }
+ */
+export function createCardFixtures({
+    brand = 'Visa',
+    length,
+    expiryFormat = 'MM / YY',
+    expirySeparator,
+    maxYearsAhead = 10,
+    now = () => new Date(),
+    random = Math.random,
+} = {}) {
+    const number = generateCardNumber({ brand, length, random });
+    const { lengths, maxDigits, cvvLength, luhn } = getCardRules(number);
+    const expiryOptions = { format: expiryFormat, separator: expirySeparator };
+    /** @param {number} offsetMonths */
+    const expiryIn = offsetMonths => generateExpiry({ ...expiryOptions, offsetMonths, now });
+    const expiry = expiryIn(12);
+    const cvv = randomDigits(cvvLength, random);
+
+    /**
+     * @param {string} description
+     * @param {Partial<CardFixture>} values
+     * @returns {CardFixture}
+     */
+    const fixture = (description, values) => ({
+        description: `${brand}: ${description}`,
+        number,
+        expiry,
+        cvv,
+        field: null,
+        error: null,
+        ...values,
+    });
+
+    const checkDigit = Number(number[number.length - 1]);
+    const longest = generateCardNumber({ brand, length: maxDigits, random });
+    const year = now().getFullYear() + 1;
+
+    /** @type {CardFixture[]} */
+    const fixtures = [
+        fixture('valid', {}),
+        fixture('card number missing', {
+            number: '',
+            // Without a number the security code has the default length
+            cvv: randomDigits(getCardRules('').cvvLength, random),
+            field: 'card',
+            error: ERROR_CODES.REQUIRED,
+        }),
+        fixture('card number too short', {
+            number: number.slice(0, lengths[0] - 1),
+            field: 'card',
+            error: ERROR_CODES.TOO_SHORT,
+        }),
+        fixture('card number too long', {
+            number: longest + randomDigits(1, random),
+            field: 'card',
+            error: ERROR_CODES.TOO_LONG,
+        }),
+    ];
+    if (luhn) {
+        fixtures.push(
+            fixture('wrong check digit', {
+                number: number.slice(0, -1) + ((checkDigit + 1) % 10),
+                field: 'card',
+                error: ERROR_CODES.LUHN_FAILED,
+            })
+        );
+    }
+    fixtures.push(
+        fixture('expiry date missing', {
+            expiry: '',
+            field: 'expiry',
+            error: ERROR_CODES.REQUIRED,
+        }),
+        fixture('expiry date incomplete', {
+            expiry: expiry.slice(0, -1),
+            field: 'expiry',
+            error: ERROR_CODES.INCOMPLETE,
+        }),
+        fixture('invalid month', {
+            expiry: formatExpiryDate(13, year, expiryOptions),
+            field: 'expiry',
+            error: ERROR_CODES.INVALID_MONTH,
+        }),
+        fixture('expired', { expiry: expiryIn(-1), field: 'expiry', error: ERROR_CODES.EXPIRED }),
+        fixture('expiry date too far in the future', {
+            expiry: expiryIn(maxYearsAhead * 12 + 1),
+            field: 'expiry',
+            error: ERROR_CODES.TOO_FAR_FUTURE,
+        }),
+        fixture('security code missing', { cvv: '', field: 'cvv', error: ERROR_CODES.REQUIRED }),
+        fixture('security code too short', {
+            cvv: cvv.slice(0, -1),
+            field: 'cvv',
+            error: ERROR_CODES.CVV_WRONG_LENGTH,
+        })
+    );
+    return fixtures;
+}
@@ -1,7 +1,9 @@
 // @ts-check
 
+import { detectCardBrand } from './brands.js';
+
 /**
- * Detects the type of a credit card based on its number
+ * Detects the type of a credit card based on its number, using the card brand registry
  * @param {string} digits The credit card number as a string of digits
  * @returns {string} The type of the credit card (e.g. "Visa", "Mastercard", etc.)
  * @example
@@ -9,39 +11,75 @@
  */
 export function getCardType(digits) {
     if (!digits || digits.length === 0) return '';
-    const firstTwo = digits.substring(0, 2);
-    const firstThree = digits.substring(0, 3);
-    const firstFour = digits.substring(0, 4);
-
-    // Visa
-    if (digits[0] === '4') return 'Visa';
-    // Mastercard (ranges: 51-55, 2221-2720)
-    if (/^5[1-5]/.test(digits)) return 'Mastercard';
-    if (parseInt(firstFour) >= 2221 && parseInt(firstFour) <= 2720) return 'Mastercard';
-    // American Express
-    if (firstTwo === '34' || firstTwo === '37') return 'American Express';
-    // Discover
-    if (
-        firstFour === '6011' ||
-        /^65/.test(digits) ||
-        (parseInt(firstThree) >= 644 && parseInt(firstThree) <= 649)
-    )
-        return 'Discover';
-    // JCB
-    if (/^35/.test(digits)) return 'JCB';
-    // Diners Club
-    if (
-        firstTwo === '36' ||
-        firstTwo === '38' ||
-        (parseInt(firstThree) >= 300 && parseInt(firstThree) <= 305)
-    )
-        return 'Diners Club';
-    // UnionPay
-    if (/^62/.test(digits)) return 'UnionPay';
-    // Default
-    return 'Unknown';
+    const brand = detectCardBrand(digits);
+    return brand ? brand.type : 'Unknown';
+}
+
+// ---- Unicode digits ----
+
+/**
+ * Code points of the zero digit of decimal digit sets typed on mobile keyboards:
+ * Arabic-Indic, Extended Arabic-Indic (Persian, Urdu), NKo, the Indic scripts, Thai, Lao,
+ * Tibetan, Myanmar, Khmer, Mongolian and full-width digits.
+ * @type {number[]}
+ */
+const DIGIT_ZEROS = [
+    0x0660, 0x06f0, 0x07c0, 0x0966, 0x09e6, 0x0a66, 0x0ae6, 0x0b66, 0x0be6, 0x0c66, 0x0ce6,
+    0x0d66, 0x0e50, 0x0ed0, 0x0f20, 0x1040, 0x17e0, 0x1810, 0xff10,
+];
+
+// Character class of every digit set: '٠-٩۰-۹...０-９' (0x2d is the hyphen)
+const NON_ASCII_DIGIT = new RegExp(
+    '[' + DIGIT_ZEROS.map(zero => String.fromCharCode(zero, 0x2d, zero + 9)).join('') + ']',
+    'g'
+);
+
+/**
+ * Replaces non-ASCII decimal digits (Arabic-Indic, Persian, full-width, ...) with ASCII digits.
+ * Every digit stays one character long, so cursor positions in the value remain valid.
+ * @param {string} value
+ * @returns {string}
+ * @example
+ * normalizeDigits('٤١١١ ١١١١') // returns "4111 1111"
+ */
+export function normalizeDigits(value) {
+    return value.replace(NON_ASCII_DIGIT, char => {
+        const code = char.charCodeAt(0);
+        const zero = /** @type {number} */ (DIGIT_ZEROS.find(z => code >= z && code <= z + 9));
+        return String(code - zero);
+    });
 }
 
+/**
+ * Returns only the digits of a value, as ASCII digits.
+ * @param {string} value
+ * @returns {string}
+ * @example
+ * extractDigits('４１１１ 1111') // returns "41111111"
+ */
+export function extractDigits(value) {
+    return normalizeDigits(value).replace(/\D/g, '');
+}
+
+
+// ---- Expiry year ----
+
+/**
+ * Expands a two-digit year to the full year closest to the current one
+ * (within 50 years back and 49 years ahead), so the century rolls over correctly.
+ * @param {number} year - Two-digit year
+ * @param {number} currentYear - Full current year
+ * @returns {number}
+ * @example
+ * expandYear(28, 2026) // returns 2028
+ * expandYear(5, 2098) // returns 2105
+ */
+export function expandYear(year, currentYear) {
+    const full = Math.floor(currentYear / 100) * 100 + year;
+    if (full < currentYear - 50) return full + 100;
+    if (full > currentYear + 49) return full - 100;
+    return full;
+}
 
 // ---- Luhn algorithm ----
 
@@ -82,6 +120,18 @@ export function luhnValidate(fullcode) {
     return luhnChecksum(fullcode) === 0;
 }
 
+/**
+ * Calculates the digit that completes a partial card number to a valid Luhn number
+ * @param {string} partial - the card number without its check digit
+ * @returns {number} - the check digit (0-9)
+ * @example
+ * luhnCheckDigit('411111111111111') // returns 1
+ */
+export function luhnCheckDigit(partial) {
+    // The check digit is never doubled, so it only has to cancel out the rest of the sum
+    return (10 - luhnChecksum(extractDigits(partial) + '0')) % 10;
+}
+
 // ---- Amex detection ----
 
 /**
@@ -90,5 +140,26 @@ export function luhnValidate(fullcode) {
  * @returns {boolean} - true if the card number is probably an American Express card, false otherwise
  */
 export function isProbablyAmex(digits) {
-    return digits.length >= 2 && (digits.startsWith('34') || digits.startsWith('37'));
-}
\ No newline at end of file
+    return getCardType(digits) === 'American Express';
+}
+
+// ---- Cardholder name ----
+
+/**
+ * Maximum length of a cardholder name (the number of characters that can be embossed on a card)
+ * @type {number}
+ */
+export const CARDHOLDER_NAME_MAX_LENGTH = 26;
+
+/**
+ * Validates a cardholder name: at least two letters, only letters, spaces, apostrophes,
+ * hyphens and periods, at most CARDHOLDER_NAME_MAX_LENGTH characters
+ * @param {string} name - the cardholder name
+ * @returns {boolean} - true if the name is acceptable, false otherwise
+ */
+export function validateCardholderName(name) {
+    const trimmed = name.trim();
+    if (trimmed.length > CARDHOLDER_NAME_MAX_LENGTH) return false;
+    if (!/^[\p{L}\p{M}'. -]+$/u.test(trimmed)) return false;
+    return (trimmed.match(/\p{L}/gu) || []).length >= 2;
+}
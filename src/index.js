@@ -1,4 +1,25 @@
 // @ts-check
-export { CreditCardInput } from './cc-input.js';
+export { CreditCardInput, AUTOFILL_ANIMATION_NAME } from './cc-input.js';
+export { CreditCardEngine } from './engine.js';
 export * from './helpers.js';
+export * from './brands.js';
+export * from './postal.js';
+export * from './paste.js';
+export * from './messages.js';
 export * from './format.js';
+export {
+    MASK_DIGIT,
+    applyMask,
+    bindMaskedInput,
+    formatMaskValue,
+    getIntendedEdit,
+    replaceInputValue,
+} from './mask.js';
+export { FIELD_ATTRIBUTES, LiveAnnouncer, addDescribedBy, applyFieldAttributes } from './a11y.js';
+export * from './tokenize.js';
+export * from './bin.js';
+export { AnalyticsTracker } from './analytics.js';
+export * from './test-cards.js';
+export { createCardFixtures, generateCardNumber, generateExpiry } from './generate.js';
+export { CardPreview } from './preview.js';
+export { CreditCardInputElement, defineCreditCardInputElement } from './element.js';
@@ -0,0 +1,285 @@
+// @ts-check
+
+import { extractDigits } from './helpers.js';
+
+/**
+ * @typedef {import('./format.js').FormatResult} FormatResult
+ */
+
+/**
+ * A mask pattern: `#` stands for a digit, any other character is a separator
+ * (e.g. '#### ###### #####' or '## / ##'). A function receives the digits typed so far,
+ * so the mask may depend on them (e.g. on the card brand).
+ * @typedef {string | function(string): string} MaskPattern
+ */
+
+/**
+ * @typedef {Object} MaskedInputOptions
+ * @property {MaskPattern} [pattern] - Mask of the value (used when format is not given)
+ * @property {function(string, number): FormatResult} [format] - Pure formatter, e.g. formatCardNumberValue
+ * @property {function(string): boolean} [isSlotChar] - Whether a character is part of the value rather than
+ *   a separator (digits by default)
+ */
+
+/** Digit placeholder of mask patterns */
+export const MASK_DIGIT = '#';
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+const isDigit = char => char >= '0' && char <= '9';
+
+/**
+ * Input types whose result the mask engine computes itself; others (undo, redo, drop,
+ * IME composition) are left to the browser and formatted on `input`.
+ */
+const HANDLED_INPUT_TYPES = [
+    'insertText',
+    'insertReplacementText',
+    'insertFromPaste',
+    'deleteContentBackward',
+    'deleteContentForward',
+];
+
+/**
+ * Pending cursor of an edit made by replaceInputValue, applied by the input listener
+ * before anyone else reads the selection.
+ * @type {WeakMap<HTMLInputElement, number>}
+ */
+const pendingCursors = new WeakMap();
+
+/**
+ * Inputs whose value is being replaced; their own beforeinput events are not intercepted.
+ * @type {WeakSet<HTMLInputElement>}
+ */
+const replacing = new WeakSet();
+
+/**
+ * Fills a mask with digits. Separators are only added between digits, never at the end,
+ * and digits beyond the last placeholder are dropped.
+ * @param {string} digits - Digits only
+ * @param {string} pattern - Mask pattern
+ * @returns {string}
+ * @example
+ * applyMask('12345', '#### ####') // returns "1234 5"
+ */
+export function applyMask(digits, pattern) {
+    let result = '';
+    let index = 0;
+    for (const char of pattern) {
+        if (index >= digits.length) break;
+        result += char === MASK_DIGIT ? digits[index++] : char;
+    }
+    return result;
+}
+
+/**
+ * Position right after the given number of digits in a masked value.
+ * @param {string} masked
+ * @param {number} digitCount
+ * @returns {number}
+ */
+function getCursorAfterDigits(masked, digitCount) {
+    let cursor = 0;
+    let count = 0;
+    while (cursor < masked.length && count < digitCount) {
+        if (isDigit(masked[cursor])) count++;
+        cursor++;
+    }
+    return cursor;
+}
+
+/**
+ * Formats any value with a mask: keeps its digits (Unicode digits are normalized),
+ * fills the mask and places the cursor after the same number of digits as before.
+ * @param {string} value - Raw value
+ * @param {number} [cursor] - Cursor position in the raw value (defaults to the end)
+ * @param {MaskPattern} pattern - Mask pattern, or a function of the digits returning one
+ * @returns {FormatResult}
+ * @example
+ * formatMaskValue('1230', 4, '## / ##') // returns { value: '12 / 30', cursor: 7 }
+ */
+export function formatMaskValue(value, cursor = value.length, pattern = '') {
+    const digits = extractDigits(value);
+    const mask = typeof pattern === 'function' ? pattern(digits) : pattern;
+    const masked = applyMask(digits, mask);
+    const digitsBeforeCursor = extractDigits(value.slice(0, cursor)).length;
+    return { value: masked, cursor: getCursorAfterDigits(masked, digitsBeforeCursor) };
+}
+
+/**
+ * Works out what an edit is meant to do before the browser applies it, so that deleting
+ * next to a separator removes the neighbouring digit instead of the separator.
+ * Returns the raw value and cursor to format, or null to leave the edit to the browser.
+ * @param {string} value - Current (masked) value
+ * @param {number} selectionStart
+ * @param {number} selectionEnd
+ * @param {string} inputType - InputEvent.inputType
+ * @param {string|null} data - Inserted text
+ * @param {function(string): boolean} [isSlotChar] - Whether a character is part of the value (digits by default)
+ * @returns {FormatResult|null}
+ * @example
+ * // Backspace right after the space removes the 4th digit
+ * getIntendedEdit('4111 1111', 5, 5, 'deleteContentBackward', null) // { value: '4111111', cursor: 3 }
+ */
+export function getIntendedEdit(
+    value,
+    selectionStart,
+    selectionEnd,
+    inputType,
+    data,
+    isSlotChar = isDigit
+) {
+    /** @param {string} text */
+    const strip = text => Array.from(text).filter(isSlotChar).join('');
+    /**
+     * Value without the characters in [from, to) and separators, cursor at the removal.
+     * @param {number} from
+     * @param {number} to
+     * @returns {FormatResult}
+     */
+    const remove = (from, to) => {
+        const before = strip(value.slice(0, from));
+        return { value: before + strip(value.slice(to)), cursor: before.length };
+    };
+
+    switch (inputType) {
+        case 'insertText':
+        case 'insertReplacementText':
+        case 'insertFromPaste':
+            if (data === null) return null;
+            return {
+                value: value.slice(0, selectionStart) + data + value.slice(selectionEnd),
+                cursor: selectionStart + data.length,
+            };
+        case 'deleteContentBackward': {
+            if (selectionStart !== selectionEnd) return remove(selectionStart, selectionEnd);
+            let index = selectionStart - 1;
+            while (index >= 0 && !isSlotChar(value[index])) index--;
+            return index < 0 ? null : remove(index, index + 1);
+        }
+        case 'deleteContentForward': {
+            if (selectionStart !== selectionEnd) return remove(selectionStart, selectionEnd);
+            let index = selectionStart;
+            while (index < value.length && !isSlotChar(value[index])) index++;
+            return index >= value.length ? null : remove(index, index + 1);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Replaces the value of a focused input as a native edit, so it lands on the undo stack,
+ * and fires `input`. Only the changed part is replaced. Falls back to setting the value
+ * and dispatching `input` where execCommand is not available.
+ * @param {HTMLInputElement} input
+ * @param {string} value - New value
+ * @param {number} cursor - Cursor position in the new value
+ */
+export function replaceInputValue(input, value, cursor) {
+    const oldValue = input.value;
+    if (oldValue === value) {
+        input.setSelectionRange(cursor, cursor);
+        return;
+    }
+
+    let start = 0;
+    while (start < oldValue.length && start < value.length && oldValue[start] === value[start]) {
+        start++;
+    }
+    let end = 0;
+    while (
+        end < oldValue.length - start &&
+        end < value.length - start &&
+        oldValue[oldValue.length - 1 - end] === value[value.length - 1 - end]
+    ) {
+        end++;
+    }
+    const text = value.slice(start, value.length - end);
+
+    const doc = input.ownerDocument;
+    let applied = false;
+    pendingCursors.set(input, cursor);
+    replacing.add(input);
+    try {
+        if (doc && typeof doc.execCommand === 'function') {
+            input.setSelectionRange(start, oldValue.length - end);
+            applied = doc.execCommand(text ? 'insertText' : 'delete', false, text);
+        }
+    } catch (error) {
+        applied = false;
+    } finally {
+        replacing.delete(input);
+    }
+
+    if (!applied || input.value !== value) {
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    pendingCursors.delete(input);
+    input.setSelectionRange(cursor, cursor);
+}
+
+/**
+ * Formats an input with a mask as the user types. Edits are computed on `beforeinput`,
+ * so Backspace after a separator deletes the digit before it, typing over a selection
+ * replaces it and native undo/redo keeps working. Edits the mask does not handle
+ * (undo, drop, IME composition, autofill) are formatted on `input`.
+ * @param {HTMLInputElement} input
+ * @param {MaskedInputOptions} options
+ * @returns {() => void} Removes the listeners
+ * @example
+ * const unbind = bindMaskedInput(ibanInput, { pattern: '#### #### #### ####' });
+ */
+export function bindMaskedInput(input, options) {
+    const {
+        pattern = '',
+        format = (value, cursor) => formatMaskValue(value, cursor, pattern),
+        isSlotChar = isDigit,
+    } = options;
+
+    /** @param {Event} event */
+    const handleBeforeInput = event => {
+        const { inputType, data, dataTransfer, isComposing } = /** @type {InputEvent} */ (event);
+        if (replacing.has(input) || isComposing || !HANDLED_INPUT_TYPES.includes(inputType)) return;
+
+        const text = data === null && dataTransfer ? dataTransfer.getData('text/plain') : data;
+        const edit = getIntendedEdit(
+            input.value,
+            input.selectionStart || 0,
+            input.selectionEnd || 0,
+            inputType,
+            text,
+            isSlotChar
+        );
+        if (!edit) return;
+
+        event.preventDefault();
+        const result = format(edit.value, edit.cursor);
+        replaceInputValue(input, result.value, result.cursor);
+    };
+
+    /** @param {Event} event */
+    const handleInput = event => {
+        const cursor = pendingCursors.get(input);
+        if (cursor !== undefined) {
+            pendingCursors.delete(input);
+            input.setSelectionRange(cursor, cursor);
+            return;
+        }
+        if (/** @type {InputEvent} */ (event).isComposing) return;
+
+        const result = format(input.value, input.selectionStart || 0);
+        if (result.value !== input.value) input.value = result.value;
+        input.setSelectionRange(result.cursor, result.cursor);
+    };
+
+    input.addEventListener('beforeinput', handleBeforeInput);
+    input.addEventListener('input', handleInput);
+    return () => {
+        input.removeEventListener('beforeinput', handleBeforeInput);
+        input.removeEventListener('input', handleInput);
+    };
+}
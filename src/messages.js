@@ -0,0 +1,119 @@
+// @ts-check
+
+/**
+ * @typedef {'REQUIRED'
+ *   | 'TOO_SHORT'
+ *   | 'TOO_LONG'
+ *   | 'LUHN_FAILED'
+ *   | 'UNSUPPORTED_BRAND'
+ *   | 'TEST_CARD'
+ *   | 'NOT_TEST_CARD'
+ *   | 'INCOMPLETE'
+ *   | 'INVALID_MONTH'
+ *   | 'EXPIRED'
+ *   | 'TOO_FAR_FUTURE'
+ *   | 'CVV_WRONG_LENGTH'
+ *   | 'NAME_INVALID'
+ *   | 'POSTAL_CODE_INVALID'} ErrorCode
+ */
+
+/**
+ * Stable validation error codes carried in the `errors` array of status events.
+ * @type {Readonly<Record<ErrorCode, ErrorCode>>}
+ */
+export const ERROR_CODES = Object.freeze({
+    REQUIRED: 'REQUIRED',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_LONG: 'TOO_LONG',
+    LUHN_FAILED: 'LUHN_FAILED',
+    UNSUPPORTED_BRAND: 'UNSUPPORTED_BRAND',
+    TEST_CARD: 'TEST_CARD',
+    NOT_TEST_CARD: 'NOT_TEST_CARD',
+    INCOMPLETE: 'INCOMPLETE',
+    INVALID_MONTH: 'INVALID_MONTH',
+    EXPIRED: 'EXPIRED',
+    TOO_FAR_FUTURE: 'TOO_FAR_FUTURE',
+    CVV_WRONG_LENGTH: 'CVV_WRONG_LENGTH',
+    NAME_INVALID: 'NAME_INVALID',
+    POSTAL_CODE_INVALID: 'POSTAL_CODE_INVALID',
+});
+
+/**
+ * Messages may contain {placeholders} that are filled from the params passed to getMessage,
+ * e.g. the status event itself.
+ * @typedef {Partial<Record<ErrorCode | string, string>>} MessageDictionary
+ */
+
+/** @type {MessageDictionary} */
+const en = {
+    REQUIRED: 'This field is required',
+    TOO_SHORT: 'Card number is incomplete',
+    TOO_LONG: 'Card number is too long',
+    LUHN_FAILED: 'Card number is invalid',
+    UNSUPPORTED_BRAND: 'This card type is not supported',
+    TEST_CARD: 'Test cards cannot be used',
+    NOT_TEST_CARD: 'Use a test card in sandbox mode',
+    INCOMPLETE: 'Expiration date is incomplete',
+    INVALID_MONTH: 'Expiration month is invalid',
+    EXPIRED: 'Card has expired',
+    TOO_FAR_FUTURE: 'Expiration date is too far in the future',
+    CVV_WRONG_LENGTH: '{cvvName} must be {expectedLength} digits',
+    NAME_INVALID: 'Cardholder name is invalid',
+    POSTAL_CODE_INVALID: 'Postal code is invalid',
+    // Screen reader announcements
+    CARD_TYPE_DETECTED: '{type} card detected',
+};
+
+/** @type {Object<string, MessageDictionary>} */
+const dictionaries = { en };
+
+let currentLocale = 'en';
+
+/**
+ * Adds or extends the message dictionary of a locale.
+ * @param {string} locale - Locale code (e.g. "de", "pt-BR")
+ * @param {MessageDictionary} messages - Messages by error code
+ * @returns {void}
+ * @example
+ * registerMessages('de', { LUHN_FAILED: 'Kartennummer ist ungültig' });
+ */
+export function registerMessages(locale, messages) {
+    dictionaries[locale] = { ...dictionaries[locale], ...messages };
+}
+
+/**
+ * Sets the locale used by getMessage when no locale is given.
+ * @param {string} locale - Locale code
+ * @returns {void}
+ */
+export function setLocale(locale) {
+    currentLocale = locale;
+}
+
+/**
+ * Returns the current locale.
+ * @returns {string}
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Returns the localized message for an error code.
+ * Falls back to the base language ("pt" for "pt-BR"), then English, then the code itself.
+ * @param {ErrorCode | string} code - Error code
+ * @param {Object<string, any>} [params] - Values for {placeholders}, e.g. the status event
+ * @param {string} [locale] - Locale code (defaults to the current locale)
+ * @returns {string}
+ * @example
+ * getMessage('CVV_WRONG_LENGTH', { cvvName: 'CID', expectedLength: 4 }) // "CID must be 4 digits"
+ */
+export function getMessage(code, params = {}, locale = currentLocale) {
+    const base = locale.split('-')[0];
+    const template =
+        dictionaries[locale]?.[code] ?? dictionaries[base]?.[code] ?? en[code] ?? code;
+
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        params[key] === undefined ? match : String(params[key])
+    );
+}
@@ -0,0 +1,145 @@
+// @ts-check
+
+import { getCardRules } from './brands.js';
+import { expandYear, luhnValidate, normalizeDigits } from './helpers.js';
+
+/**
+ * @typedef {Object} ParsedCardData
+ * @property {string} number - Card number digits ('' if not found)
+ * @property {number|null} month - Expiry month (1-12) or null if not found
+ * @property {number|null} year - Expiry year (full) or null if not found
+ * @property {string} cvv - CVV digits ('' if not found)
+ */
+
+/**
+ * @typedef {Object} ParseCardDataOptions
+ * @property {function(): Date} [now] - Clock that 2-digit years are expanded around
+ *   (see expandYear), e.g. the one of the engine
+ * @property {number} [maxYearsAhead=10] - How many years ahead the year of an unseparated
+ *   MMYYYY expiry may be; other 6-digit runs are not read as an expiry
+ */
+
+/**
+ * Converts a 2- or 4-digit year to a full year.
+ * @param {string} year
+ * @param {number} currentYear - Full current year
+ * @returns {number}
+ */
+function toFullYear(year, currentYear) {
+    const value = parseInt(year, 10);
+    return year.length === 2 ? expandYear(value, currentYear) : value;
+}
+
+/**
+ * Splits a run of digit groups into the card number and the groups left after it.
+ * Prefers the longest allowed length that passes Luhn.
+ * @param {string[]} groups - Digit groups of one run (e.g. ['4111', '1111', '1111', '1111', '123'])
+ * @returns {{ number: string, rest: string[] }}
+ */
+function splitCardNumber(groups) {
+    const digits = groups.join('');
+    const { lengths, maxDigits, luhn } = getCardRules(digits);
+
+    // Candidate lengths: group boundaries if the run is grouped, otherwise every allowed length
+    /** @type {number[]} */
+    const boundaries = [];
+    let total = 0;
+    for (const group of groups) {
+        total += group.length;
+        boundaries.push(total);
+    }
+    const candidates = (groups.length > 1 ? boundaries : lengths)
+        .filter(length => length <= Math.min(maxDigits, digits.length))
+        .sort((a, b) => b - a);
+
+    const best =
+        candidates.find(
+            length => lengths.includes(length) && (!luhn || luhnValidate(digits.substring(0, length)))
+        ) ||
+        candidates[0] ||
+        Math.min(maxDigits, digits.length);
+
+    if (groups.length === 1) {
+        const rest = digits.length > best ? [digits.substring(best)] : [];
+        return { number: digits.substring(0, best), rest };
+    }
+
+    // Re-split the leftover digits along the original group boundaries
+    /** @type {string[]} */
+    const rest = [];
+    let offset = 0;
+    for (const group of groups) {
+        const end = offset + group.length;
+        if (end > best) {
+            rest.push(group.substring(Math.max(0, best - offset)));
+        }
+        offset = end;
+    }
+
+    return { number: digits.substring(0, best), rest };
+}
+
+/**
+ * Parses free text that may contain a card number, an expiry date and a CVV,
+ * e.g. "4111 1111 1111 1111 12/28 123" or "4111111111111111 1228 123".
+ * @param {string} text - Pasted or autofilled text
+ * @param {ParseCardDataOptions} [options]
+ * @returns {ParsedCardData}
+ * @example
+ * parseCardData('4111 1111 1111 1111 12/28 123')
+ * // returns { number: '4111111111111111', month: 12, year: 2028, cvv: '123' }
+ */
+export function parseCardData(text, { now = () => new Date(), maxYearsAhead = 10 } = {}) {
+    const currentYear = now().getFullYear();
+    /** @type {ParsedCardData} */
+    const result = { number: '', month: null, year: null, cvv: '' };
+    let rest = normalizeDigits(text || '');
+
+    // Expiry with an explicit separator: MM/YY, MM / YYYY, MM-YY, MM.YY
+    const expiryMatch = rest.match(/(^|\D)(0?[1-9]|1[0-2])\s*[/.-]\s*(\d{4}|\d{2})(?!\d)/);
+    if (expiryMatch) {
+        result.month = parseInt(expiryMatch[2], 10);
+        result.year = toFullYear(expiryMatch[3], currentYear);
+        rest = rest.replace(expiryMatch[0], expiryMatch[1] + ' ');
+    }
+
+    // Runs of digits joined by single spaces or dashes
+    /** @type {string[]} */
+    const tokens = [];
+    for (const run of rest.match(/\d+(?:[ -]\d+)*/g) || []) {
+        const groups = run.split(/[ -]/);
+        if (!result.number && groups.join('').length >= 12) {
+            const card = splitCardNumber(groups);
+            result.number = card.number;
+            tokens.push(...card.rest);
+        } else {
+            tokens.push(...groups);
+        }
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        // Unseparated MMYY followed by the CVV, e.g. "1228123"
+        if (result.month === null && (token.length === 7 || token.length === 8)) {
+            tokens.splice(i + 1, 0, token.substring(0, 4), token.substring(4));
+            continue;
+        }
+        if (result.month === null && (token.length === 4 || token.length === 6)) {
+            const month = parseInt(token.substring(0, 2), 10);
+            const year = parseInt(token.substring(2), 10);
+            // Leftover card digits such as "122812" are no MMYYYY expiry
+            const inWindow =
+                token.length === 4 || (year >= currentYear && year <= currentYear + maxYearsAhead);
+            if (month >= 1 && month <= 12 && inWindow) {
+                result.month = month;
+                result.year = toFullYear(token.substring(2), currentYear);
+                continue;
+            }
+        }
+        if (!result.cvv && (token.length === 3 || token.length === 4)) {
+            result.cvv = token;
+        }
+    }
+
+    return result;
+}
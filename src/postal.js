@@ -0,0 +1,124 @@
+// @ts-check
+
+import { normalizeDigits } from './helpers.js';
+
+/**
+ * @typedef {Object} PostalCodeFormat
+ * @property {'numeric' | 'alphanumeric'} charset - Characters kept by the formatter
+ * @property {number} [minLength] - Minimum number of significant characters of a complete code (defaults to maxLength)
+ * @property {number} maxLength - Maximum number of significant characters (separators excluded)
+ * @property {RegExp} pattern - Pattern the formatted value must fully match to be valid
+ * @property {function(string): string} [group] - Inserts separators into the compact value
+ */
+
+/** @type {Object<string, PostalCodeFormat>} */
+const formats = {
+    US: {
+        charset: 'numeric',
+        minLength: 5,
+        maxLength: 9,
+        pattern: /^\d{5}(-\d{4})?$/,
+        group: v => (v.length > 5 ? v.substring(0, 5) + '-' + v.substring(5) : v),
+    },
+    CA: {
+        charset: 'alphanumeric',
+        maxLength: 6,
+        pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+        group: v => (v.length > 3 ? v.substring(0, 3) + ' ' + v.substring(3) : v),
+    },
+    UK: {
+        charset: 'alphanumeric',
+        minLength: 5,
+        maxLength: 7,
+        pattern:
+            /^(GIR 0AA|[A-PR-UWYZ](\d[\dA-HJKPSTUW]?|[A-HK-Y]\d[\dABEHMNPRV-Y]?) \d[ABD-HJLNP-UW-Z]{2})$/,
+        // The inward code is always the last three characters
+        group: v => (v.length >= 5 ? v.substring(0, v.length - 3) + ' ' + v.substring(v.length - 3) : v),
+    },
+    GENERIC: {
+        charset: 'alphanumeric',
+        minLength: 3,
+        maxLength: 10,
+        pattern: /^[A-Z0-9]{3,10}$/,
+    },
+};
+
+/** @type {Object<string, string>} */
+const aliases = {
+    GB: 'UK',
+};
+
+/**
+ * Normalizes a country code to a registered format key.
+ * @param {string} [country] - ISO country code (US, CA, UK/GB, ...)
+ * @returns {string} - Registered format key, GENERIC if the country is unknown
+ */
+export function resolvePostalCodeCountry(country) {
+    const code = (country || '').toUpperCase();
+    const key = aliases[code] || code;
+    return key in formats ? key : 'GENERIC';
+}
+
+/**
+ * Returns the postal code format for a country.
+ * @param {string} [country] - ISO country code; unknown countries use the generic format
+ * @returns {PostalCodeFormat}
+ */
+export function getPostalCodeFormat(country) {
+    return formats[resolvePostalCodeCountry(country)];
+}
+
+/**
+ * Registers or overrides the postal code format of a country.
+ * @param {string} country - ISO country code
+ * @param {PostalCodeFormat} format - Format definition
+ * @returns {void}
+ */
+export function registerPostalCodeFormat(country, format) {
+    if (!country) {
+        throw new TypeError('Postal code format must have a country');
+    }
+    if (!format || !(format.pattern instanceof RegExp)) {
+        throw new TypeError(`Postal code format "${country}" must have a pattern`);
+    }
+    formats[country.toUpperCase()] = { ...format };
+}
+
+/**
+ * Strips a postal code down to its significant characters for the given country.
+ * @param {string} value - Raw value
+ * @param {string} [country] - ISO country code
+ * @returns {string} - Upper-cased value without separators
+ */
+export function compactPostalCode(value, country) {
+    const { charset } = getPostalCodeFormat(country);
+    const upper = normalizeDigits(value).toUpperCase();
+    return charset === 'numeric' ? upper.replace(/\D/g, '') : upper.replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Groups a compact postal code with the separators of the given country.
+ * @param {string} compact - Value returned by compactPostalCode
+ * @param {string} [country] - ISO country code
+ * @returns {string}
+ */
+export function groupPostalCode(compact, country) {
+    const { maxLength, group } = getPostalCodeFormat(country);
+    const value = compact.substring(0, maxLength);
+    return group ? group(value) : value;
+}
+
+/**
+ * Validates a postal code for the given country. Separators and case are normalized first.
+ * @param {string} value - Postal code
+ * @param {string} [country] - ISO country code
+ * @returns {boolean}
+ * @example
+ * validatePostalCode('k1a0b1', 'CA') // returns true
+ */
+export function validatePostalCode(value, country) {
+    const { maxLength, pattern } = getPostalCodeFormat(country);
+    const compact = compactPostalCode(value, country);
+    if (compact.length > maxLength) return false;
+    return pattern.test(groupPostalCode(compact, country));
+}
@@ -0,0 +1,330 @@
+// @ts-check
+
+import { getCardRules } from './brands.js';
+import { extractDigits } from './helpers.js';
+import { maskCardNumber, maskCvv } from './format.js';
+
+/**
+ * @typedef {import('./cc-input.js').CreditCardInput} CreditCardInput
+ * @typedef {import('./engine.js').CreditCardEngine} CreditCardEngine
+ * @typedef {import('./engine.js').CardStatusEvent} CardStatusEvent
+ * @typedef {import('./engine.js').FieldFocusEvent} FieldFocusEvent
+ */
+
+/**
+ * @typedef {Object} CardPreviewModel
+ * @property {string} digits - Card number digits
+ * @property {string} type - Detected card type
+ * @property {boolean} isAmex - Security code is on the front
+ * @property {string} expiry - Expiry value as typed
+ * @property {string} cvv - CVV digits
+ * @property {string} name - Cardholder name
+ * @property {boolean} flipped - The back is shown
+ * @property {boolean} cardFocused - The card number field has focus
+ * @property {boolean} cvvFocused - The CVV field has focus
+ */
+
+const STYLE_ID = 'cc-preview-styles';
+
+/**
+ * Default look. Every color and size is a CSS custom property, so themes only override variables:
+ * `.cc-preview[data-brand="visa"] { --cc-preview-background: #123; }`
+ */
+const STYLES = `
+.cc-preview {
+    --cc-preview-width: 340px;
+    --cc-preview-radius: 14px;
+    --cc-preview-background: linear-gradient(135deg, #5b6472, #2f3640);
+    --cc-preview-color: #fff;
+    --cc-preview-font: 'Courier New', monospace;
+    --cc-preview-stripe: #111;
+    --cc-preview-signature: #f2f2f2;
+    --cc-preview-highlight: rgba(255, 255, 255, 0.35);
+    --cc-preview-flip-duration: 0.6s;
+    width: var(--cc-preview-width);
+    aspect-ratio: 1.586;
+    perspective: 1000px;
+    font-family: var(--cc-preview-font);
+    color: var(--cc-preview-color);
+    direction: ltr;
+}
+.cc-preview[data-brand='visa'] { --cc-preview-background: linear-gradient(135deg, #1a1f71, #2b4bb5); }
+.cc-preview[data-brand='mastercard'] { --cc-preview-background: linear-gradient(135deg, #222, #eb001b 160%); }
+.cc-preview[data-brand='american-express'] { --cc-preview-background: linear-gradient(135deg, #006fcf, #4aa3df); }
+.cc-preview[data-brand='discover'] { --cc-preview-background: linear-gradient(135deg, #333, #ff6000 170%); }
+.cc-preview[data-brand='jcb'] { --cc-preview-background: linear-gradient(135deg, #0b4ea2, #00a650); }
+.cc-preview[data-brand='diners-club'] { --cc-preview-background: linear-gradient(135deg, #0079be, #004a80); }
+.cc-preview[data-brand='unionpay'] { --cc-preview-background: linear-gradient(135deg, #d7282f, #005b9a); }
+.cc-preview[data-brand='maestro'] { --cc-preview-background: linear-gradient(135deg, #0099df, #6c6bbd); }
+.cc-preview[data-brand='mir'] { --cc-preview-background: linear-gradient(135deg, #0f754e, #37a72e); }
+.cc-preview[data-brand='rupay'] { --cc-preview-background: linear-gradient(135deg, #097a44, #f58220 170%); }
+.cc-preview[data-brand='elo'] { --cc-preview-background: linear-gradient(135deg, #111, #00a4e0 170%); }
+.cc-preview[data-brand='hipercard'] { --cc-preview-background: linear-gradient(135deg, #b3131b, #822124); }
+.cc-preview__card {
+    position: relative;
+    width: 100%;
+    height: 100%;
+    transition: transform var(--cc-preview-flip-duration);
+    transform-style: preserve-3d;
+}
+.cc-preview--flipped .cc-preview__card { transform: rotateY(180deg); }
+.cc-preview__front,
+.cc-preview__back {
+    position: absolute;
+    inset: 0;
+    box-sizing: border-box;
+    padding: 7% 8%;
+    border-radius: var(--cc-preview-radius);
+    background: var(--cc-preview-background);
+    backface-visibility: hidden;
+}
+.cc-preview__back { padding: 8% 0; transform: rotateY(180deg); }
+.cc-preview__logo { height: 18%; text-align: right; font-weight: bold; font-style: italic; }
+.cc-preview__logo svg, .cc-preview__logo img { height: 100%; }
+.cc-preview__number { margin-top: 18%; font-size: 1.3em; letter-spacing: 0.08em; white-space: pre; }
+.cc-preview__details { display: flex; justify-content: space-between; margin-top: 8%; text-transform: uppercase; }
+.cc-preview__front-cvv { position: absolute; top: 36%; right: 8%; display: none; font-size: 0.8em; }
+.cc-preview--amex .cc-preview__front-cvv { display: block; }
+.cc-preview__stripe { height: 20%; background: var(--cc-preview-stripe); }
+.cc-preview__signature {
+    display: flex;
+    justify-content: flex-end;
+    align-items: center;
+    box-sizing: border-box;
+    width: 80%;
+    height: 18%;
+    margin: 6% 8%;
+    padding: 0 4%;
+    background: var(--cc-preview-signature);
+    color: #000;
+}
+.cc-preview--cvv-focused .cc-preview__front-cvv,
+.cc-preview--cvv-focused .cc-preview__cvv { outline: 2px solid var(--cc-preview-highlight); outline-offset: 2px; }
+`;
+
+/**
+ * Brand slug for the data-brand attribute: "American Express" becomes "american-express".
+ * @param {string} type - Card type
+ * @returns {string}
+ */
+function toBrandSlug(type) {
+    return type && type !== 'Unknown' ? type.toLowerCase().replace(/\s+/g, '-') : '';
+}
+
+/**
+ * Splits text into groups; text beyond the last group stays in the last group.
+ * @param {string} text
+ * @param {number[]} groups
+ * @returns {string}
+ */
+function groupText(text, groups) {
+    /** @type {string[]} */
+    const parts = [];
+    let index = 0;
+    for (let i = 0; i < groups.length && index < text.length; i++) {
+        const size = i < groups.length - 1 ? groups[i] : text.length - index;
+        parts.push(text.substring(index, index + size));
+        index += size;
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Live card preview that follows a CreditCardInput (or CreditCardEngine): the grouped number
+ * with placeholders for untyped digits, name, expiry, brand colors and logo, and the CVV on the back
+ * (on the front for American Express). Flips to the back while the CVV field has focus.
+ * The number and CVV are masked while their fields are unfocused, like the inputs of
+ * a CreditCardInput with maskCardOnBlur and maskCvvOnBlur.
+ */
+export class CardPreview {
+    /**
+     * @param {Object} options
+     * @param {CreditCardInput | CreditCardEngine} options.source - Instance whose events drive the preview
+     * @param {HTMLElement} options.container - Element the preview is rendered into
+     * @param {string} [options.placeholderChar='•'] - Shown for digits that are not typed yet
+     * @param {string} [options.namePlaceholder='Cardholder name'] - Shown while no name is set
+     * @param {string} [options.expiryPlaceholder='MM/YY'] - Shown while no expiry is set
+     * @param {Object<string, string>} [options.logos] - Logo markup (SVG or img) by card type; the card type text by default
+     * @param {boolean} [options.maskCardNumber] - Show only the last 4 digits while the card number field is unfocused
+     *   (defaults to maskCardOnBlur of the source)
+     * @param {boolean} [options.maskCvv] - Hide the CVV digits while the CVV field is unfocused
+     *   (defaults to maskCvvOnBlur of the source)
+     */
+    constructor({
+        source,
+        container,
+        placeholderChar = '•',
+        namePlaceholder = 'Cardholder name',
+        expiryPlaceholder = 'MM/YY',
+        logos = {},
+        maskCardNumber = 'engine' in source && source.maskCardOnBlur,
+        maskCvv = 'engine' in source && source.maskCvvOnBlur,
+    }) {
+        this.source = source;
+        this.container = container;
+        this.placeholderChar = placeholderChar;
+        this.namePlaceholder = namePlaceholder;
+        this.expiryPlaceholder = expiryPlaceholder;
+        this.logos = logos;
+        this.maskCardNumber = maskCardNumber;
+        this.maskCvv = maskCvv;
+
+        const values = 'engine' in source ? source.engine.getValues() : source.getValues();
+        const state = source.getState();
+        /** @type {CardPreviewModel} */
+        this.model = {
+            digits: extractDigits(values.number),
+            type: state.cardType,
+            isAmex: state.isAmex,
+            expiry: values.expiry,
+            cvv: extractDigits(values.cvv),
+            name: values.name.trim(),
+            flipped: false,
+            cardFocused: state.fields.card.focused,
+            cvvFocused: state.fields.cvv.focused,
+        };
+
+        this._injectStyles();
+        this.element = this._build();
+        container.appendChild(this.element);
+
+        /** @type {Array<() => void>} */
+        this._unsubscribers = [
+            source.onCardStatus(({ digits, type, isAmex }) => this.update({ digits, type, isAmex })),
+            source.onExpiryStatus(({ value }) => this.update({ expiry: value })),
+            source.onCvvStatus(({ digits }) => this.update({ cvv: digits })),
+            source.onNameStatus(({ name }) => this.update({ name })),
+            source.onFocus(event => this._handleFocus(event)),
+            source.onBlur(event => this._handleFocus(event)),
+        ];
+
+        this.update({});
+    }
+
+    /**
+     * Merge changes into the model and redraw.
+     * @param {Partial<CardPreviewModel>} changes
+     */
+    update(changes) {
+        const model = Object.assign(this.model, changes);
+        // The CID of American Express is on the front, so the card does not flip for it
+        model.flipped = model.cvvFocused && !model.isAmex;
+
+        const { element } = this;
+        const brand = toBrandSlug(model.type);
+        if (brand) {
+            element.setAttribute('data-brand', brand);
+        } else {
+            element.removeAttribute('data-brand');
+        }
+        element.classList.toggle('cc-preview--amex', model.isAmex);
+        element.classList.toggle('cc-preview--flipped', model.flipped);
+        element.classList.toggle('cc-preview--cvv-focused', model.cvvFocused);
+
+        const logo = this._part('logo');
+        const logoMarkup = this.logos[model.type];
+        if (logoMarkup) {
+            logo.innerHTML = logoMarkup;
+        } else {
+            logo.textContent = brand ? model.type : '';
+        }
+
+        const number = this._formatNumber(model.digits);
+        const hideNumber = this.maskCardNumber && !model.cardFocused;
+        this._part('number').textContent = hideNumber
+            ? maskCardNumber(number, this.placeholderChar)
+            : number;
+        this._part('name').textContent = model.name || this.namePlaceholder;
+        this._part('expiry').textContent = model.expiry || this.expiryPlaceholder;
+
+        const cvvPlaceholder = this.placeholderChar.repeat(getCardRules(model.digits).cvvLength);
+        const hideCvv = this.maskCvv && !model.cvvFocused;
+        const cvv = hideCvv ? maskCvv(model.cvv, this.placeholderChar) : model.cvv;
+        this._part('cvv').textContent = cvv || cvvPlaceholder;
+        this._part('front-cvv').textContent = cvv || cvvPlaceholder;
+    }
+
+    /**
+     * Unsubscribe from the source and remove the preview.
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+        this.element.remove();
+    }
+
+    // ---------- Private methods ----------
+
+    /**
+     * Grouped number padded with placeholders up to the usual length of the brand.
+     * @param {string} digits
+     * @returns {string}
+     */
+    _formatNumber(digits) {
+        const { lengths, groups } = getCardRules(digits);
+        const length =
+            lengths.includes(16) && digits.length <= 16
+                ? 16
+                : lengths.find(l => l >= digits.length) || digits.length;
+        return groupText(digits + this.placeholderChar.repeat(length - digits.length), groups);
+    }
+
+    /**
+     * @param {FieldFocusEvent} event
+     */
+    _handleFocus({ field, focused }) {
+        if (field === 'card') this.update({ cardFocused: focused });
+        if (field === 'cvv') this.update({ cvvFocused: focused });
+    }
+
+    /**
+     * @param {string} name - Part name without the cc-preview__ prefix
+     * @returns {HTMLElement}
+     */
+    _part(name) {
+        return /** @type {HTMLElement} */ (this.element.querySelector('.cc-preview__' + name));
+    }
+
+    /**
+     * @returns {HTMLElement}
+     */
+    _build() {
+        const doc = this.container.ownerDocument;
+        /**
+         * @param {string} part
+         * @param {...HTMLElement} children
+         */
+        const el = (part, ...children) => {
+            const node = doc.createElement('div');
+            node.className = 'cc-preview__' + part;
+            node.append(...children);
+            return node;
+        };
+        const root = doc.createElement('div');
+        root.className = 'cc-preview';
+        root.setAttribute('aria-hidden', 'true');
+        root.append(
+            el(
+                'card',
+                el(
+                    'front',
+                    el('logo'),
+                    el('number'),
+                    el('front-cvv'),
+                    el('details', el('name'), el('expiry'))
+                ),
+                el('back', el('stripe'), el('signature', el('cvv')))
+            )
+        );
+        return root;
+    }
+
+    _injectStyles() {
+        const doc = this.container.ownerDocument;
+        if (doc.getElementById(STYLE_ID)) return;
+        const style = doc.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = STYLES;
+        doc.head.appendChild(style);
+    }
+}
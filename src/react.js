@@ -0,0 +1,63 @@
+// @ts-check
+
+import { useEffect, useRef, useState } from 'react';
+import { connectCreditCardInput, createInitialState } from './bindings.js';
+
+/**
+ * @typedef {import('./bindings.js').BindingOptions} BindingOptions
+ * @typedef {import('./bindings.js').CreditCardState} CreditCardState
+ * @typedef {import('./cc-input.js').CreditCardInput} CreditCardInput
+ */
+
+/**
+ * @typedef {Object} UseCreditCardInputResult
+ * @property {function(HTMLInputElement|null): void} cardRef - Ref callback for the card number input
+ * @property {function(HTMLInputElement|null): void} expiryRef - Ref callback for the expiry input
+ * @property {function(HTMLInputElement|null): void} cvvRef - Ref callback for the CVV input
+ * @property {function(HTMLInputElement|null): void} nameRef - Ref callback for the optional cardholder name input
+ * @property {function(HTMLInputElement|null): void} postalCodeRef - Ref callback for the optional postal code input
+ * @property {CreditCardState} state - getState() plus the latest status event of each field
+ * @property {CreditCardInput|null} creditCard - The instance, once card, expiry and CVV inputs are mounted
+ */
+
+/**
+ * React hook that wires CreditCardInput to the inputs of a component.
+ * Options are read when the inputs mount; the instance is destroyed on unmount,
+ * so StrictMode double effects leave no listeners behind.
+ * @param {BindingOptions} [options] - CreditCardInput options (without the input elements)
+ * @returns {UseCreditCardInputResult}
+ * @example
+ * const { cardRef, expiryRef, cvvRef, state } = useCreditCardInput({ autoAdvance: true });
+ * return <input ref={cardRef} />;
+ */
+export function useCreditCardInput(options = {}) {
+    const [cardInput, cardRef] = useState(/** @type {HTMLInputElement|null} */ (null));
+    const [expiryInput, expiryRef] = useState(/** @type {HTMLInputElement|null} */ (null));
+    const [cvvInput, cvvRef] = useState(/** @type {HTMLInputElement|null} */ (null));
+    const [nameInput, nameRef] = useState(/** @type {HTMLInputElement|null} */ (null));
+    const [postalCodeInput, postalCodeRef] = useState(/** @type {HTMLInputElement|null} */ (null));
+    const [state, setState] = useState(createInitialState);
+    const [creditCard, setCreditCard] = useState(/** @type {CreditCardInput|null} */ (null));
+
+    // Latest options without re-running the effect on every render
+    const optionsRef = useRef(options);
+    optionsRef.current = options;
+
+    useEffect(() => {
+        if (!cardInput || !expiryInput || !cvvInput) return;
+
+        const connection = connectCreditCardInput(
+            { cardInput, expiryInput, cvvInput, nameInput, postalCodeInput },
+            optionsRef.current,
+            setState
+        );
+        setCreditCard(connection.creditCard);
+
+        return () => {
+            connection.disconnect();
+            setCreditCard(null);
+        };
+    }, [cardInput, expiryInput, cvvInput, nameInput, postalCodeInput]);
+
+    return { cardRef, expiryRef, cvvRef, nameRef, postalCodeRef, state, creditCard };
+}
@@ -0,0 +1,166 @@
+// @ts-check
+
+import { extractDigits } from './helpers.js';
+
+/**
+ * Well-known test card numbers published by payment gateways.
+ * @type {Object<string, string[]>}
+ */
+const BUILTIN_TEST_CARDS = {
+    stripe: [
+        '4242424242424242',
+        '4000056655665556',
+        '4000000000000002',
+        '4000000000009995',
+        '5555555555554444',
+        '2223003122003222',
+        '5200828282828210',
+        '5105105105105100',
+        '378282246310005',
+        '371449635398431',
+        '6011111111111117',
+        '6011000990139424',
+        '3056930009020004',
+        '36227206271667',
+        '3566002020360505',
+        '6200000000000005',
+    ],
+    braintree: [
+        '4111111111111111',
+        '4005519200000004',
+        '4009348888881881',
+        '4012000033330026',
+        '4012000077777777',
+        '4012888888881881',
+        '4217651111111119',
+        '4500600000000061',
+        '5555555555554444',
+        '378282246310005',
+        '371449635398431',
+        '6011111111111117',
+        '3530111333300000',
+        '6304000000000000',
+    ],
+    adyen: [
+        '4111111111111111',
+        '5555341244441115',
+        '2222400070000005',
+        '370000000000002',
+        '6011601160116611',
+        '3569990010095841',
+        '36006666333344',
+    ],
+    generic: [
+        '4111111111111111',
+        '4012888888881881',
+        '4222222222222',
+        '5105105105105100',
+        '378734493671000',
+        '6011000990139424',
+        '30569309025904',
+        '38520000023237',
+        '3530111333300000',
+    ],
+};
+
+/** @type {Map<string, Set<string>>} */
+let testCards = createCatalog();
+
+/**
+ * @returns {Map<string, Set<string>>}
+ */
+function createCatalog() {
+    return new Map(
+        Object.entries(BUILTIN_TEST_CARDS).map(([gateway, numbers]) => [gateway, new Set(numbers)])
+    );
+}
+
+/**
+ * Adds test card numbers to the catalog of a gateway (creating it if needed).
+ * @param {string} gateway - Gateway name (e.g. "stripe")
+ * @param {string[]} numbers - Card numbers; spaces and dashes are ignored
+ * @returns {void}
+ * @example
+ * registerTestCards('acquirer-x', ['4000 0000 0000 0077']);
+ */
+export function registerTestCards(gateway, numbers) {
+    if (!gateway) {
+        throw new TypeError('Test cards must have a gateway');
+    }
+    if (!Array.isArray(numbers)) {
+        throw new TypeError(`Test cards of "${gateway}" must be an array`);
+    }
+    const catalog = testCards.get(gateway) || new Set();
+    for (const number of numbers) {
+        const digits = extractDigits(number);
+        if (digits) catalog.add(digits);
+    }
+    testCards.set(gateway, catalog);
+}
+
+/**
+ * Removes a gateway and its test card numbers from the catalog.
+ * @param {string} gateway - Gateway name
+ * @returns {boolean} - true if the gateway was registered
+ */
+export function unregisterTestCards(gateway) {
+    return testCards.delete(gateway);
+}
+
+/**
+ * Restores the built-in test card catalog, dropping all registered numbers.
+ * @returns {void}
+ */
+export function resetTestCards() {
+    testCards = createCatalog();
+}
+
+/**
+ * Returns the test card numbers of a gateway, or of all gateways.
+ * @param {string} [gateway] - Gateway name
+ * @returns {string[]}
+ */
+export function getTestCards(gateway) {
+    if (gateway) {
+        return Array.from(testCards.get(gateway) || []);
+    }
+    /** @type {Set<string>} */
+    const all = new Set();
+    testCards.forEach(numbers => numbers.forEach(number => all.add(number)));
+    return Array.from(all);
+}
+
+/**
+ * Returns the gateways that publish a card number as a test card.
+ * @param {string} number - Card number
+ * @returns {string[]}
+ * @example
+ * getTestCardGateways('4111 1111 1111 1111') // returns ["braintree", "adyen", "generic"]
+ */
+export function getTestCardGateways(number) {
+    const digits = extractDigits(number);
+    /** @type {string[]} */
+    const gateways = [];
+    testCards.forEach((numbers, gateway) => {
+        if (numbers.has(digits)) gateways.push(gateway);
+    });
+    return gateways;
+}
+
+/**
+ * Checks whether a card number is a known test card.
+ * @param {string} number - Card number
+ * @param {string} [gateway] - Only check the test cards of this gateway
+ * @returns {boolean}
+ * @example
+ * isTestCardNumber('4242 4242 4242 4242') // returns true
+ */
+export function isTestCardNumber(number, gateway) {
+    const digits = extractDigits(number);
+    if (!digits) return false;
+    if (gateway) {
+        const numbers = testCards.get(gateway);
+        return !!numbers && numbers.has(digits);
+    }
+    return getTestCardGateways(digits).length > 0;
+}
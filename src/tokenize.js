@@ -0,0 +1,83 @@
+// @ts-check
+
+/**
+ * @typedef {import('./engine.js').CardData} CardData
+ */
+
+/**
+ * @typedef {Object} TokenizeResult
+ * @property {string} token - Token that stands in for the card
+ * @property {string} [brand] - Card type
+ * @property {string} [last4] - Last four digits of the card number
+ */
+
+/**
+ * Adapter to a payment service: receives normalized card data and resolves with a token.
+ * @typedef {function(CardData): Promise<TokenizeResult>} Tokenizer
+ */
+
+/**
+ * @typedef {'NO_TOKENIZER' | 'INVALID_CARD_DATA' | 'CARD_DECLINED'} TokenizeErrorCode
+ */
+
+/**
+ * Error raised by tokenize() and by the mock tokenizer.
+ */
+export class TokenizeError extends Error {
+    /**
+     * @param {string} message
+     * @param {TokenizeErrorCode} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'TokenizeError';
+        /** @type {TokenizeErrorCode} */
+        this.code = code;
+    }
+}
+
+/**
+ * @typedef {Object} MockTokenizerMethods
+ * @property {function(string): (CardData|null)} detokenize - Card data stored for a token
+ * @property {function(): void} reset - Forgets every token
+ */
+
+/**
+ * @typedef {Tokenizer & MockTokenizerMethods} MockTokenizer
+ */
+
+/**
+ * Creates an in-memory tokenizer for tests and local development.
+ * Tokens look like "tok_mock_1_k3j9x0aa"; the card data stays in memory.
+ * @param {Object} [options]
+ * @param {number} [options.delay=0] - Simulated network latency in milliseconds
+ * @param {string[]} [options.declineNumbers] - Card numbers rejected with CARD_DECLINED
+ * @returns {MockTokenizer}
+ * @example
+ * const creditCard = new CreditCardInput({ cardInput, expiryInput, cvvInput, tokenizer: createMockTokenizer() });
+ */
+export function createMockTokenizer({ delay = 0, declineNumbers = ['4000000000000002'] } = {}) {
+    /** @type {Map<string, CardData>} */
+    const vault = new Map();
+    let counter = 0;
+
+    /** @type {Tokenizer} */
+    const tokenize = async data => {
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        if (declineNumbers.includes(data.number)) {
+            throw new TokenizeError('Card was declined', 'CARD_DECLINED');
+        }
+
+        const token = `tok_mock_${++counter}_${Math.random().toString(36).slice(2, 10)}`;
+        vault.set(token, { ...data });
+        return { token, brand: data.brand, last4: data.number.slice(-4) };
+    };
+
+    return Object.assign(tokenize, {
+        /** @param {string} token */
+        detokenize: token => vault.get(token) || null,
+        reset: () => vault.clear(),
+    });
+}
@@ -0,0 +1,71 @@
+// @ts-check
+
+import { onBeforeUnmount, shallowRef, watch } from 'vue';
+import { connectCreditCardInput, createInitialState } from './bindings.js';
+
+/**
+ * @typedef {import('vue').ShallowRef<HTMLInputElement|null>} InputRef
+ * @typedef {import('./bindings.js').BindingOptions} BindingOptions
+ * @typedef {import('./bindings.js').CreditCardState} CreditCardState
+ * @typedef {import('./cc-input.js').CreditCardInput} CreditCardInput
+ */
+
+/**
+ * @typedef {Object} UseCreditCardInputResult
+ * @property {InputRef} cardRef - Template ref for the card number input
+ * @property {InputRef} expiryRef - Template ref for the expiry input
+ * @property {InputRef} cvvRef - Template ref for the CVV input
+ * @property {InputRef} nameRef - Template ref for the optional cardholder name input
+ * @property {InputRef} postalCodeRef - Template ref for the optional postal code input
+ * @property {import('vue').ShallowRef<CreditCardState>} state - getState() plus the latest status event of each field
+ * @property {import('vue').ShallowRef<CreditCardInput|null>} creditCard - The instance, once card, expiry and CVV inputs are mounted
+ */
+
+/**
+ * Vue 3 composable that wires CreditCardInput to the inputs of a component.
+ * Options are read when the inputs mount; the instance is destroyed when the inputs change or on unmount.
+ * @param {BindingOptions} [options] - CreditCardInput options (without the input elements)
+ * @returns {UseCreditCardInputResult}
+ * @example
+ * const { cardRef, expiryRef, cvvRef, state } = useCreditCardInput({ autoAdvance: true });
+ * // <input ref="cardRef" />
+ */
+export function useCreditCardInput(options = {}) {
+    /** @type {InputRef} */ const cardRef = shallowRef(null);
+    /** @type {InputRef} */ const expiryRef = shallowRef(null);
+    /** @type {InputRef} */ const cvvRef = shallowRef(null);
+    /** @type {InputRef} */ const nameRef = shallowRef(null);
+    /** @type {InputRef} */ const postalCodeRef = shallowRef(null);
+    const state = shallowRef(createInitialState());
+    const creditCard = shallowRef(/** @type {CreditCardInput|null} */ (null));
+
+    /** @type {(() => void)|null} */
+    let disconnect = null;
+    const stop = () => {
+        if (disconnect) disconnect();
+        disconnect = null;
+        creditCard.value = null;
+    };
+
+    watch(
+        [cardRef, expiryRef, cvvRef, nameRef, postalCodeRef],
+        ([cardInput, expiryInput, cvvInput, nameInput, postalCodeInput]) => {
+            stop();
+            if (!cardInput || !expiryInput || !cvvInput) return;
+
+            const connection = connectCreditCardInput(
+                { cardInput, expiryInput, cvvInput, nameInput, postalCodeInput },
+                options,
+                value => (state.value = value)
+            );
+            disconnect = connection.disconnect;
+            creditCard.value = connection.creditCard;
+        },
+        // Template refs are set after the DOM is patched
+        { flush: 'post' }
+    );
+
+    onBeforeUnmount(stop);
+
+    return { cardRef, expiryRef, cvvRef, nameRef, postalCodeRef, state, creditCard };
+}
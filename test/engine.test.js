@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CreditCardEngine } from '../src/engine.js';
+import { ERROR_CODES } from '../src/messages.js';
+
+const now = () => new Date(2026, 9, 1);
+
+describe('CreditCardEngine statuses', () => {
+    it('starts neutral', () => {
+        const engine = new CreditCardEngine({ now });
+        const { cardStatus, expiryStatus, cvvStatus, allValid } = engine.getState();
+        assert.deepEqual(
+            [cardStatus, expiryStatus, cvvStatus, allValid],
+            ['neutral', 'neutral', 'neutral', false]
+        );
+    });
+
+    it('reports a card number as incomplete while typing and valid once complete', () => {
+        const engine = new CreditCardEngine({ now });
+        const statuses = [];
+        engine.onCardStatus(event => statuses.push(event.status));
+
+        engine.setCardNumber('4111');
+        assert.deepEqual(engine.getErrors().card, [ERROR_CODES.TOO_SHORT]);
+        engine.setCardNumber('4111 1111 1111 1111');
+
+        assert.deepEqual(statuses, ['incomplete', 'valid']);
+        assert.equal(engine.getState().cardType, 'Visa');
+    });
+
+    it('reports a Luhn failure as invalid at 16 digits and incomplete at shorter lengths', () => {
+        const engine = new CreditCardEngine({ now });
+
+        engine.setCardNumber('4111111111111112');
+        assert.equal(engine.getState().cardStatus, 'invalid');
+        assert.deepEqual(engine.getErrors().card, [ERROR_CODES.LUHN_FAILED]);
+
+        // A 13-digit Visa may still grow to 16 digits
+        engine.setCardNumber('4111111111112');
+        assert.equal(engine.getState().cardStatus, 'incomplete');
+    });
+
+    it('validates the expiry date', () => {
+        const engine = new CreditCardEngine({ now });
+        const cases = [
+            ['12 / 30', 'valid', []],
+            ['12 / 3', 'incomplete', [ERROR_CODES.INCOMPLETE]],
+            ['13 / 30', 'invalid', [ERROR_CODES.INVALID_MONTH]],
+            ['09 / 26', 'invalid', [ERROR_CODES.EXPIRED]],
+        ];
+        for (const [expiry, status, errors] of cases) {
+            engine.setExpiry(expiry);
+            assert.equal(engine.getState().expiryStatus, status, expiry);
+            assert.deepEqual(engine.getErrors().expiry, errors, expiry);
+        }
+    });
+
+    it('checks the CVV length of the detected brand', () => {
+        const engine = new CreditCardEngine({ now });
+        engine.setCardNumber('378282246310005');
+
+        engine.setCvv('123');
+        assert.equal(engine.getState().cvvStatus, 'incomplete');
+        assert.deepEqual(engine.getErrors().cvv, [ERROR_CODES.CVV_WRONG_LENGTH]);
+
+        engine.setCvv('1234');
+        assert.equal(engine.getState().cvvStatus, 'valid');
+    });
+
+    it('emits allValid when every field becomes valid and again when one breaks', () => {
+        const engine = new CreditCardEngine({ now });
+        const events = [];
+        engine.onAllValid(({ isAllValid }) => events.push(isAllValid));
+
+        engine.setValues({ number: '4111 1111 1111 1111', expiry: '12 / 30', cvv: '123' });
+        engine.setCvv('12');
+
+        assert.deepEqual(events, [true, false]);
+    });
+
+    it("holds back 'invalid' until the field is blurred with validateOn: 'blur'", () => {
+        const engine = new CreditCardEngine({ now, validateOn: 'blur' });
+
+        engine.setCardNumber('4111111111111112');
+        assert.equal(engine.getState().cardStatus, 'incomplete');
+
+        engine.blurField('card');
+        assert.equal(engine.getState().cardStatus, 'invalid');
+    });
+});
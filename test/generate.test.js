@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getCardBrands } from '../src/brands.js';
+import { CreditCardEngine } from '../src/engine.js';
+import { createCardFixtures } from '../src/generate.js';
+import { luhnValidate } from '../src/helpers.js';
+
+const now = () => new Date(2026, 9, 1);
+
+describe('createCardFixtures', () => {
+    for (const { type, luhn } of getCardBrands()) {
+        it(`returns fixtures the engine reports as described for ${type}`, () => {
+            const engine = new CreditCardEngine({ now });
+            const fixtures = createCardFixtures({ brand: type, now });
+
+            assert.equal(fixtures[0].error, null);
+            if (luhn) assert.ok(luhnValidate(fixtures[0].number), fixtures[0].number);
+
+            for (const fixture of fixtures) {
+                engine.setValues(fixture);
+                const { isAllValid, errors } = engine.validate();
+
+                if (fixture.number) assert.equal(engine.getState().cardType, type);
+                assert.equal(isAllValid, !fixture.error, fixture.description);
+                if (fixture.field) {
+                    assert.equal(errors[fixture.field][0], fixture.error, fixture.description);
+                }
+            }
+        });
+    }
+
+    it('formats the expiry dates like the engine option', () => {
+        const engine = new CreditCardEngine({ now, expiryFormat: 'MM/YYYY' });
+        const [valid] = createCardFixtures({ expiryFormat: 'MM/YYYY', now });
+
+        assert.match(valid.expiry, /^\d{2}\/\d{4}$/);
+        engine.setValues(valid);
+        assert.equal(engine.validate().isAllValid, true);
+    });
+});